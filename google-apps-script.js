@@ -2,7 +2,7 @@
  * Google Apps Script để ghi dữ liệu vào Google Sheet
  * 
  * HƯỚNG DẪN:
- * 1. Mở Google Sheet: https://docs.google.com/spreadsheets/d/1biHwq9fCQ1QjdbjlRBZ2L4kL10VoAaU8L4spQZHaNes
+ * 1. Mở Google Sheet cần ghi dữ liệu
  * 2. Vào Extensions > Apps Script
  * 3. Xóa code mặc định và paste code này vào
  * 4. Nếu muốn thêm Library:
@@ -19,102 +19,1109 @@
  *    - Execute as: Me
  *    - Who has access: Anyone
  * 8. Copy Web App URL và paste vào server/.env như GOOGLE_APPS_SCRIPT_URL
+ * 9. Bảo mật: vào Project Settings > Script Properties, thêm property SHARED_SECRET
+ *    (chuỗi ngẫu nhiên dài) và đặt cùng giá trị vào server/.env như GOOGLE_APPS_SCRIPT_SECRET.
+ *    doPost từ chối mọi request không có chữ ký HMAC hợp lệ, đã hết hạn hoặc bị gửi lại.
+ * 10. (Tùy chọn) Cấu hình SPREADSHEET_ID, SHEET_NAME, COLUMNS trong Script Properties - xem bên dưới.
+ * 11. Sau khi cập nhật code, Deploy > Manage deployments > Edit > New version để server
+ *    gửi được nhiều bản ghi trong một request ({ records: [...] }, tối đa MAX_BATCH_SIZE)
+ *    và đọc lại dữ liệu theo mã số thuế / số hóa đơn qua doGet.
+ * 12. Báo trạng thái về server: thêm Script Property CALLBACK_URL
+ *    (https://<server>/api/sheets/status-callback) rồi chạy installStatusTrigger() một lần.
+ *    Khi kế toán đổi cột "Trạng thái", server được báo (có ký bằng SHARED_SECRET) để cập nhật
+ *    và thông báo cho khách hàng.
  */
 
-// Sheet name - có thể đổi thành tên sheet cụ thể hoặc để null để dùng sheet đầu tiên
-// Nếu để null, sẽ sử dụng sheet đầu tiên trong spreadsheet
-const SHEET_NAME = null; // null = sheet đầu tiên, hoặc 'tax_info', 'TaxInfo', 'Sheet1', etc.
+/**
+ * CẤU HÌNH (Project Settings > Script Properties) - không cần sửa code:
+ *   SPREADSHEET_ID  ID của Google Sheet (phần giữa /d/ và /edit trong URL).
+ *                   Bỏ trống = dùng spreadsheet chứa script này; script độc lập (standalone) không gắn với
+ *                   spreadsheet nào thì dùng spreadsheet cũ (LEGACY_SPREADSHEET_ID) như trước đây.
+ *   SHEET_NAME      Tên sheet để ghi dữ liệu. Bỏ trống = sheet đầu tiên.
+ *   COLUMNS         JSON theo thứ tự cột, dạng { "field": "Tên cột", ... }, ví dụ:
+ *                   {"createdAt":"Thời gian","invoiceNumber":"Số hóa đơn","taxCode":"Mã số thuế",
+ *                    "companyName":"Tên công ty","companyNameEn":"Tên tiếng Anh","address":"Địa chỉ",
+ *                    "email":"Email","phone":"Số điện thoại","id":"ID"}
+ *                   Field server gửi (SHEET_FIELDS trong server/googleSheets.js) chỉ cần thêm vào đây là có
+ *                   cột mới. Bỏ trống = DEFAULT_COLUMNS.
+ *   MONTHLY_SHEETS  "true" = ghi mỗi bản ghi vào tab của tháng tạo (ví dụ "2026-10"), tạo từ tab mẫu.
+ *                   Khi bật, tab SHEET_NAME (nếu có) giữ dữ liệu cũ trước khi chia tháng: không thêm dòng mới,
+ *                   chỉ cập nhật các dòng đã có ở đó (tương tự với tab tháng đã lưu trữ).
+ *   TEMPLATE_SHEET  Tên tab mẫu cho tab tháng (mặc định "Template"). Tự tạo (ẩn) nếu chưa có;
+ *                   có thể chỉnh format, độ rộng cột... trên tab này.
+ *   ARCHIVE_SPREADSHEET_ID  Spreadsheet lưu trữ. archiveOldMonths() chuyển các tab tháng
+ *                   cũ hơn ARCHIVE_AFTER_MONTHS tháng (mặc định 12) sang đây - chạy installArchiveTrigger()
+ *                   một lần để tự chạy vào ngày 1 hằng tháng.
+ *   CALLBACK_URL    URL server nhận trạng thái khi kế toán đổi cột "Trạng thái" (xem bước 12).
+ *   SUMMARY_SHEET   Tên tab tổng hợp (mặc định "Summary"): số bản ghi theo ngày, theo chi nhánh
+ *                   (đơn vị theo MST 13 số) và theo công ty. refreshSummary() cập nhật tab này -
+ *                   chạy installSummaryTrigger() một lần để tự cập nhật mỗi 15 phút.
+ * Nhờ vậy cùng một code dùng được cho sheet của từng chi nhánh và sheet staging.
+ */
+
+// Cột mặc định (field từ server -> tiêu đề cột). Cột "id" dùng để cập nhật thay vì thêm dòng trùng
+const DEFAULT_COLUMNS = {
+  createdAt: 'Thời gian',
+  invoiceNumber: 'Số hóa đơn',
+  taxCode: 'Mã số thuế',
+  companyName: 'Tên công ty',
+  address: 'Địa chỉ',
+  email: 'Email',
+  phone: 'Số điện thoại',
+  status: 'Trạng thái',
+  id: 'ID'
+};
+
+// Trạng thái xử lý (giá trị server -> nhãn trong cột "Trạng thái")
+const STATUS_LABELS = {
+  pending: 'Chờ xử lý',
+  issued: 'Đã xuất',
+  rejected: 'Từ chối'
+};
+
+// Nhãn trong sheet -> giá trị server; nhãn lạ giữ nguyên
+function toStatusCode(value) {
+  const text = toCellText(value).trim();
+  const code = Object.keys(STATUS_LABELS).filter(function(key) { return STATUS_LABELS[key] === text; })[0];
+  return code || text;
+}
+
+// Đọc cấu hình từ Script Properties
+function getConfig() {
+  const props = PropertiesService.getScriptProperties();
+
+  let columnMap = DEFAULT_COLUMNS;
+  const columnsProperty = props.getProperty('COLUMNS');
+  if (columnsProperty) {
+    try {
+      columnMap = JSON.parse(columnsProperty);
+    } catch (error) {
+      throw new Error('COLUMNS trong Script Properties không phải JSON hợp lệ: ' + error.message);
+    }
+  }
+
+  const columns = Object.keys(columnMap).map(function(field) {
+    return { field: field, header: String(columnMap[field]) };
+  });
+  // Luôn cần cột id để upsert
+  if (!columns.some(function(column) { return column.field === 'id'; })) {
+    columns.push({ field: 'id', header: DEFAULT_COLUMNS.id });
+  }
+
+  return {
+    spreadsheetId: props.getProperty('SPREADSHEET_ID') || '',
+    sheetName: props.getProperty('SHEET_NAME') || '',
+    columns: columns,
+    monthlySheets: props.getProperty('MONTHLY_SHEETS') === 'true',
+    templateSheetName: props.getProperty('TEMPLATE_SHEET') || 'Template',
+    archiveSpreadsheetId: props.getProperty('ARCHIVE_SPREADSHEET_ID') || '',
+    archiveAfterMonths: parseInt(props.getProperty('ARCHIVE_AFTER_MONTHS'), 10) || 12,
+    summarySheetName: props.getProperty('SUMMARY_SHEET') || 'Summary',
+    callbackUrl: props.getProperty('CALLBACK_URL') || ''
+  };
+}
+
+// Spreadsheet trước đây được ghi cứng trong script - web app đã deploy chưa đặt SPREADSHEET_ID vẫn ghi vào đây
+const LEGACY_SPREADSHEET_ID = '1biHwq9fCQ1QjdbjlRBZ2L4kL10VoAaU8L4spQZHaNes';
+
+// Mở spreadsheet theo cấu hình: SPREADSHEET_ID, spreadsheet chứa script, rồi đến LEGACY_SPREADSHEET_ID
+function getSpreadsheet(config) {
+  const spreadsheet = config.spreadsheetId
+    ? SpreadsheetApp.openById(config.spreadsheetId)
+    : SpreadsheetApp.getActiveSpreadsheet() || SpreadsheetApp.openById(LEGACY_SPREADSHEET_ID);
+  if (!spreadsheet) {
+    throw new Error('Không mở được spreadsheet. Kiểm tra SPREADSHEET_ID trong Script Properties');
+  }
+  return spreadsheet;
+}
+
+// Lấy sheet theo cấu hình - ưu tiên theo tên, nếu không có thì dùng sheet dữ liệu đầu tiên
+function getTargetSheet(config) {
+  const spreadsheet = getSpreadsheet(config);
+
+  if (config.sheetName) {
+    // Nếu sheet không tồn tại, tạo mới
+    return spreadsheet.getSheetByName(config.sheetName) || spreadsheet.insertSheet(config.sheetName);
+  }
+
+  // Sử dụng sheet đầu tiên (bỏ qua tab tổng hợp và tab mẫu)
+  const sheet = spreadsheet.getSheets().filter(function(candidate) {
+    const name = candidate.getName();
+    return name !== config.summarySheetName && name !== config.templateSheetName;
+  })[0];
+  if (!sheet) {
+    throw new Error('Không tìm thấy sheet nào trong spreadsheet');
+  }
+  return sheet;
+}
+
+// Tên tab tháng có dạng yyyy-MM
+const MONTH_SHEET_PATTERN = /^\d{4}-\d{2}$/;
+
+// Tab tháng (yyyy-MM theo múi giờ của script) cho một thời điểm; thời điểm không hợp lệ = tháng hiện tại
+function getMonthSheetName(value) {
+  const date = value ? new Date(value) : new Date();
+  return Utilities.formatDate(isNaN(date.getTime()) ? new Date() : date, Session.getScriptTimeZone(), 'yyyy-MM');
+}
+
+// Các tab tháng của một spreadsheet, tháng cũ trước
+function getMonthSheets(spreadsheet) {
+  return spreadsheet.getSheets()
+    .filter(function(sheet) { return MONTH_SHEET_PATTERN.test(sheet.getName()); })
+    .sort(function(a, b) { return a.getName() < b.getName() ? -1 : 1; });
+}
+
+// Tab mẫu cho tab tháng: tạo lần đầu với header đã format, rồi ẩn đi
+function getTemplateSheet(spreadsheet, config) {
+  let template = spreadsheet.getSheetByName(config.templateSheetName);
+  if (!template) {
+    template = spreadsheet.insertSheet(config.templateSheetName);
+    ensureHeader(template, config.columns);
+    template.setFrozenRows(1);
+    template.hideSheet();
+  }
+  return template;
+}
+
+// Tab của một tháng, tạo từ tab mẫu nếu chưa có (giữ header, format và độ rộng cột của mẫu)
+function getMonthSheet(spreadsheet, config, monthName) {
+  return spreadsheet.getSheetByName(monthName) ||
+    spreadsheet.insertSheet(monthName, { template: getTemplateSheet(spreadsheet, config) });
+}
+
+/**
+ * Các sheet chứa dữ liệu để đọc (doGet), cũ trước:
+ *   - không chia tháng: sheet theo cấu hình
+ *   - chia tháng: tab SHEET_NAME cũ (nếu có) + các tab tháng; includeArchive = thêm các tab đã lưu trữ
+ */
+function getDataSheets(config, includeArchive) {
+  if (!config.monthlySheets) {
+    return [getTargetSheet(config)];
+  }
+
+  const spreadsheet = getSpreadsheet(config);
+  let sheets = getMonthSheets(spreadsheet);
+  const legacySheet = config.sheetName ? spreadsheet.getSheetByName(config.sheetName) : null;
+  if (legacySheet) {
+    sheets.unshift(legacySheet);
+  }
+  if (includeArchive && config.archiveSpreadsheetId) {
+    sheets = getMonthSheets(SpreadsheetApp.openById(config.archiveSpreadsheetId)).concat(sheets);
+  }
+  return sheets;
+}
+
+/**
+ * Đảm bảo row 1 là header và có đủ các cột đã cấu hình.
+ * Header được nhận diện khi row 1 chứa ít nhất một tiêu đề đã cấu hình (không phụ thuộc 'Thời gian' ở A1).
+ * Cột còn thiếu được thêm vào cuối; cột khác do kế toán tự thêm được giữ nguyên.
+ * Trả về mảng tiêu đề theo thứ tự cột.
+ */
+function ensureHeader(sheet, columns) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  let headerRow = (lastRow > 0 && lastColumn > 0)
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String)
+    : [];
+
+  const hasHeader = columns.some(function(column) {
+    return headerRow.indexOf(column.header) !== -1;
+  });
+
+  // Nếu sheet trống hoặc row đầu tiên không phải header
+  if (!hasHeader) {
+    // Chèn header row ở đầu (nếu có dữ liệu thì insert)
+    if (lastRow > 0) {
+      sheet.insertRowBefore(1);
+    }
+    headerRow = [];
+  }
+
+  const missing = columns.filter(function(column) {
+    return headerRow.indexOf(column.header) === -1;
+  });
+  if (missing.length > 0) {
+    headerRow = headerRow.concat(missing.map(function(column) { return column.header; }));
+    sheet.getRange(1, 1, 1, headerRow.length).setValues([headerRow]);
+  }
+
+  // Cột thay đổi thì đặt lại định dạng cảnh báo và danh sách trạng thái theo vị trí cột mới
+  if (!hasHeader || missing.length > 0) {
+    applyHighlightRules(sheet, headerRow, columns);
+    applyStatusValidation(sheet, headerRow, columns);
+  }
+
+  // Format header
+  sheet.getRange(1, 1, 1, headerRow.length)
+    .setFontWeight('bold')
+    .setBackground('#f59e0b')
+    .setFontColor('#ffffff')
+    .setHorizontalAlignment('center');
+
+  return headerRow;
+}
+
+// Tiêu đề cột của một field theo cấu hình, '' nếu không cấu hình
+function getColumnHeader(columns, field) {
+  const column = columns.filter(function(c) { return c.field === field; })[0];
+  return column ? column.header : '';
+}
+
+// Cột "Trạng thái" chỉ nhận các nhãn trong STATUS_LABELS (chọn từ danh sách thả xuống)
+function applyStatusValidation(sheet, headerRow, columns) {
+  const statusIndex = headerRow.indexOf(getColumnHeader(columns, 'status'));
+  if (statusIndex === -1) {
+    return;
+  }
+  const labels = Object.keys(STATUS_LABELS).map(function(key) { return STATUS_LABELS[key]; });
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(labels, true)
+    .setAllowInvalid(false)
+    .setHelpText('Chọn một trong: ' + labels.join(', '))
+    .build();
+  sheet.getRange(2, statusIndex + 1, Math.max(sheet.getMaxRows() - 1, 1), 1).setDataValidation(rule);
+}
+
+// Chữ cái của cột (1 -> A, 27 -> AA)
+function columnLetter(column) {
+  let letter = '';
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+// Trọng số kiểm tra chữ số thứ 10 của mã số thuế (tính trên 9 chữ số đầu)
+const TAX_CODE_WEIGHTS = [31, 29, 23, 19, 17, 13, 7, 5, 3];
+
+const DUPLICATE_COLOR = '#fde68a';
+const CHECKSUM_COLOR = '#fecaca';
+
+/**
+ * Định dạng có điều kiện cho dữ liệu của một sheet:
+ *   - vàng: cặp mã số thuế + số hóa đơn lặp lại trong cùng sheet
+ *   - đỏ: mã số thuế sai chữ số kiểm tra (ưu tiên hơn màu vàng)
+ * Chỉ thay các rule do script tạo, rule kế toán tự thêm được giữ nguyên.
+ */
+function applyHighlightRules(sheet, headerRow, columns) {
+  const taxCodeIndex = headerRow.indexOf(getColumnHeader(columns, 'taxCode'));
+  const invoiceIndex = headerRow.indexOf(getColumnHeader(columns, 'invoiceNumber'));
+
+  const rules = sheet.getConditionalFormatRules().filter(function(rule) {
+    return !isHighlightRule(rule);
+  });
+
+  if (taxCodeIndex !== -1) {
+    const range = sheet.getRange(2, 1, Math.max(sheet.getMaxRows() - 1, 1), headerRow.length);
+    const taxLetter = columnLetter(taxCodeIndex + 1);
+    const taxCell = '$' + taxLetter + '2';
+    // Đưa về chuỗi như normalizeSheetTaxCode: ô số 9 hoặc 12 chữ số đã mất số 0 đầu, bỏ dấu - của mã chi nhánh
+    const taxText = 'IF(AND(ISNUMBER(' + taxCell + '),OR(LEN(' + taxCell + ')=9,LEN(' + taxCell + ')=12)),"0"&' + taxCell +
+      ',SUBSTITUTE(' + taxCell + '&"","-",""))';
+
+    // Sai độ dài (thường là mã bị gõ thiếu) thì tô luôn - IF để không tính chữ số kiểm tra,
+    // vì công thức lỗi thì Sheets không tô
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied('=AND(' + taxCell + '<>"",IF(AND(LEN(' + taxText + ')<>10,LEN(' + taxText + ')<>13),TRUE,' +
+        '10-MOD(SUMPRODUCT(VALUE(MID(' + taxText + ',{1,2,3,4,5,6,7,8,9},1)),{' + TAX_CODE_WEIGHTS.join(',') + '}),11)<>' +
+        'VALUE(MID(' + taxText + ',10,1))))')
+      .setBackground(CHECKSUM_COLOR)
+      .setRanges([range])
+      .build());
+
+    if (invoiceIndex !== -1) {
+      const invoiceLetter = columnLetter(invoiceIndex + 1);
+      const invoiceCell = '$' + invoiceLetter + '2';
+      rules.push(SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied('=AND(' + invoiceCell + '<>"",COUNTIFS($' + taxLetter + ':$' + taxLetter + ',' + taxCell +
+          ',$' + invoiceLetter + ':$' + invoiceLetter + ',' + invoiceCell + ')>1)')
+        .setBackground(DUPLICATE_COLOR)
+        .setRanges([range])
+        .build());
+    }
+  }
+
+  sheet.setConditionalFormatRules(rules);
+}
+
+// Rule do applyHighlightRules tạo (nhận diện qua công thức)
+function isHighlightRule(rule) {
+  const condition = rule.getBooleanCondition();
+  const formula = condition ? String(condition.getCriteriaValues()[0] || '') : '';
+  return formula.indexOf('{' + TAX_CODE_WEIGHTS.join(',') + '}') !== -1 ||
+    /^=AND\(\$[A-Z]+2<>"",COUNTIFS\(/.test(formula);
+}
+
+// Đọc cột ID một lần: ID -> số dòng (bỏ qua header)
+function readRowsById(sheet, idColumn) {
+  const rowsById = {};
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return rowsById;
+  }
+  const ids = sheet.getRange(2, idColumn, lastRow - 1, 1).getValues();
+  for (let i = 0; i < ids.length; i++) {
+    if (ids[i][0] !== '') {
+      rowsById[String(ids[i][0])] = i + 2;
+    }
+  }
+  return rowsById;
+}
+
+// Ký tự đầu khiến Sheets coi chuỗi là công thức (tab / CR dùng để che công thức)
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Chống chèn công thức: chuỗi bắt đầu bằng FORMULA_PREFIXES (ví dụ =HYPERLINK(...), =IMPORTXML(...)
+ * nhập từ form) được thêm dấu ' ở đầu để Sheets lưu dạng text - dấu ' không hiển thị.
+ * Số điện thoại / số như +84 28 3822 1234 hay -5 không chạy được gì nên giữ nguyên.
+ * Server cũng làm vậy (server/formulaInjection.js); chuỗi đã có ' ở đầu không bị đổi lần nữa.
+ */
+function neutralizeFormula(value) {
+  if (typeof value !== 'string' || FORMULA_PREFIXES.indexOf(value.charAt(0)) === -1 ||
+      /^[+-]?\d[\d ().-]*$/.test(value)) {
+    return value;
+  }
+  return "'" + value;
+}
+
+// Giá trị của một field cho ô trong sheet
+function getFieldValue(data, field) {
+  if (field === 'createdAt') {
+    return data.createdAt || new Date().toISOString();
+  }
+  if (field === 'status') {
+    return STATUS_LABELS[data.status] || STATUS_LABELS.pending;
+  }
+  const value = data[field];
+  return (value === undefined || value === null) ? '' : value;
+}
 
 // Nếu bạn đã thêm library, uncomment và sử dụng identifier bạn đã đặt:
 // const MyLibrary = LibraryName; // Thay "LibraryName" bằng identifier bạn đã đặt trong Libraries
 
+// Số bản ghi tối đa trong một request batch
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Ghi nhiều bản ghi vào sheet: bản ghi có ID đã tồn tại thì cập nhật dòng đó
+ * (chỉ ghi đè các cột đã cấu hình, giữ nguyên cột khác và trạng thái kế toán đã chọn),
+ * bản ghi mới được thêm cùng lúc bằng một lần setValues.
+ * Trả về kết quả theo đúng thứ tự records:
+ *   { id, success: true, action: 'inserted' | 'updated', row } hoặc { id, success: false, message }
+ */
+function upsertRecords(sheet, columns, records) {
+  const headerRow = ensureHeader(sheet, columns);
+  const idHeader = columns.filter(function(column) { return column.field === 'id'; })[0].header;
+  const rowsById = readRowsById(sheet, headerRow.indexOf(idHeader) + 1);
+
+  const fillRow = function(rowData, data) {
+    columns.forEach(function(column) {
+      const index = headerRow.indexOf(column.header);
+      // Trạng thái do kế toán đổi trên sheet - server chỉ điền cho dòng mới
+      if (column.field === 'status' && rowData[index] !== '') {
+        return;
+      }
+      rowData[index] = neutralizeFormula(getFieldValue(data, column.field));
+    });
+    return rowData;
+  };
+
+  // Chỉ ghi các ô của cột đã cấu hình, theo từng đoạn cột liền nhau. Không ghi lại cả dòng:
+  // cột kế toán tự thêm có thể chứa công thức, getValues/setValues sẽ biến chúng thành giá trị tĩnh
+  const updateRow = function(rowNumber, data) {
+    const current = sheet.getRange(rowNumber, 1, 1, headerRow.length).getValues()[0];
+    const cells = [];
+    columns.forEach(function(column) {
+      const index = headerRow.indexOf(column.header);
+      if (index === -1 || (column.field === 'status' && current[index] !== '')) {
+        return;
+      }
+      cells.push({ index: index, value: neutralizeFormula(getFieldValue(data, column.field)) });
+    });
+    cells.sort(function(a, b) { return a.index - b.index; });
+
+    let start = 0;
+    while (start < cells.length) {
+      let end = start;
+      while (end + 1 < cells.length && cells[end + 1].index === cells[end].index + 1) {
+        end++;
+      }
+      const values = cells.slice(start, end + 1).map(function(cell) { return cell.value; });
+      sheet.getRange(rowNumber, cells[start].index + 1, 1, values.length).setValues([values]);
+      start = end + 1;
+    }
+  };
+
+  const results = [];
+  const newRows = [];
+  const newRowRecords = []; // index trong records của từng dòng mới
+  const newRowById = {}; // ID -> vị trí trong newRows (ID lặp lại trong cùng batch)
+
+  records.forEach(function(data, index) {
+    const id = (data && data.id) ? String(data.id) : '';
+    try {
+      if (!data || typeof data !== 'object') {
+        throw new Error('Bản ghi không hợp lệ');
+      }
+
+      if (id && rowsById[id]) {
+        const rowNumber = rowsById[id];
+        updateRow(rowNumber, data);
+        results[index] = { id: id, success: true, action: 'updated', row: rowNumber };
+      } else if (id && newRowById[id] !== undefined) {
+        fillRow(newRows[newRowById[id]], data);
+        newRowRecords.push({ index: index, position: newRowById[id] });
+      } else {
+        if (id) {
+          newRowById[id] = newRows.length;
+        }
+        newRowRecords.push({ index: index, position: newRows.length });
+        newRows.push(fillRow(headerRow.map(function() { return ''; }), data));
+      }
+    } catch (error) {
+      results[index] = { id: id, success: false, message: error.toString() };
+    }
+  });
+
+  if (newRows.length > 0) {
+    const firstRow = sheet.getLastRow() + 1;
+    sheet.getRange(firstRow, 1, newRows.length, headerRow.length).setValues(newRows);
+    newRowRecords.forEach(function(entry) {
+      const data = records[entry.index];
+      results[entry.index] = {
+        id: data.id ? String(data.id) : '',
+        success: true,
+        action: 'inserted',
+        row: firstRow + entry.position
+      };
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Ghi ID vào các dòng chưa có ID (dữ liệu cũ server vừa nhập) để lần đồng bộ sau cập nhật đúng dòng.
+ * Chỉ ghi khi ô ID còn trống và mã số thuế của dòng vẫn khớp - dòng có thể đã bị chèn, xóa
+ * hoặc sắp xếp lại từ lúc server đọc. Sheet chưa có cột ID được thêm cột.
+ * Trả về [{ sheet, row, id, success, message? }] theo thứ tự assignments.
+ */
+function assignRowIds(sheets, columns, assignments) {
+  const sheetsByName = {};
+  sheets.forEach(function(sheet) { sheetsByName[sheet.getName()] = sheet; });
+  const headers = {};
+
+  return assignments.map(function(item) {
+    const result = { sheet: item && item.sheet, row: item && item.row, id: item && item.id };
+    try {
+      const sheet = sheetsByName[result.sheet];
+      const row = parseInt(result.row, 10);
+      if (!sheet || !(row >= 2) || !result.id) {
+        throw new Error('Cần sheet, row (>= 2) và id hợp lệ');
+      }
+      const headerRow = headers[result.sheet] || (headers[result.sheet] = ensureHeader(sheet, columns));
+      const idIndex = headerRow.indexOf(getColumnHeader(columns, 'id'));
+      const taxCodeIndex = headerRow.indexOf(getColumnHeader(columns, 'taxCode'));
+      const line = sheet.getRange(row, 1, 1, headerRow.length).getValues()[0];
+
+      const currentId = toCellText(line[idIndex]).trim();
+      if (currentId) {
+        if (currentId !== String(result.id)) {
+          throw new Error('Dòng đã có ID khác: ' + currentId);
+        }
+      } else {
+        if (taxCodeIndex !== -1 && normalizeSheetTaxCode(line[taxCodeIndex]) !== normalizeSheetTaxCode(item.taxCode)) {
+          throw new Error('Dòng đã thay đổi (mã số thuế không khớp)');
+        }
+        sheet.getRange(row, idIndex + 1).setValue(String(result.id));
+      }
+      result.success = true;
+    } catch (error) {
+      result.success = false;
+      result.message = error.message || error.toString();
+    }
+    return result;
+  });
+}
+
+// ID -> số dòng của một sheet có sẵn, không sửa header (sheet chưa có cột ID = không có ID nào)
+function findRowsById(sheet, columns) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn < 1) {
+    return {};
+  }
+  const headerRow = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+  const idIndex = headerRow.indexOf(getColumnHeader(columns, 'id'));
+  return idIndex === -1 ? {} : readRowsById(sheet, idIndex + 1);
+}
+
+/**
+ * Chia tháng: ghi từng nhóm bản ghi vào tab tháng theo createdAt, kết quả giữ đúng thứ tự records.
+ * Bản ghi đã có dòng trong tab SHEET_NAME cũ hoặc trong tab tháng đã lưu trữ (ARCHIVE_SPREADSHEET_ID)
+ * được cập nhật tại chỗ, không thêm dòng trùng vào tab tháng.
+ */
+function upsertRecordsByMonth(spreadsheet, config, records) {
+  const legacySheet = config.sheetName ? spreadsheet.getSheetByName(config.sheetName) : null;
+  const legacyIds = legacySheet ? findRowsById(legacySheet, config.columns) : {};
+  const archive = config.archiveSpreadsheetId ? SpreadsheetApp.openById(config.archiveSpreadsheetId) : null;
+  const archivedIds = {}; // tên tab -> ID -> số dòng, đọc mỗi tab một lần
+
+  const findArchivedSheet = function(monthName, id) {
+    const sheet = archive ? archive.getSheetByName(monthName) : null;
+    if (!sheet) {
+      return null;
+    }
+    archivedIds[monthName] = archivedIds[monthName] || findRowsById(sheet, config.columns);
+    return archivedIds[monthName][id] ? sheet : null;
+  };
+
+  // Nhóm theo sheet đích: { sheet, name, archived, indexes }
+  const groups = {};
+  records.forEach(function(data, index) {
+    const id = (data && data.id) ? String(data.id) : '';
+    const monthName = getMonthSheetName(data && data.createdAt);
+    let key = monthName;
+    let target = null;
+    if (id && legacyIds[id]) {
+      key = 'legacy';
+      target = { sheet: legacySheet, name: config.sheetName, archived: false };
+    } else if (id) {
+      const archivedSheet = findArchivedSheet(monthName, id);
+      if (archivedSheet) {
+        key = 'archive:' + monthName;
+        target = { sheet: archivedSheet, name: monthName, archived: true };
+      }
+    }
+    if (!groups[key]) {
+      groups[key] = target || { sheet: null, name: monthName, archived: false };
+      groups[key].indexes = [];
+    }
+    groups[key].indexes.push(index);
+  });
+
+  const results = [];
+  Object.keys(groups).forEach(function(key) {
+    const group = groups[key];
+    const sheet = group.sheet || getMonthSheet(spreadsheet, config, group.name);
+    const groupResults = upsertRecords(sheet, config.columns, group.indexes.map(function(index) { return records[index]; }));
+    groupResults.forEach(function(result, i) {
+      result.sheet = group.name;
+      if (group.archived) {
+        result.archived = true;
+      }
+      results[group.indexes[i]] = result;
+    });
+  });
+  return results;
+}
+
+// Chữ ký chỉ có hiệu lực trong 5 phút (tính theo giây)
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+// Chuyển mảng byte (có dấu) của Utilities thành chuỗi hex
+function toHex(bytes) {
+  return bytes.map(function(b) {
+    return ('0' + (b & 0xff).toString(16)).slice(-2);
+  }).join('');
+}
+
+// So sánh chuỗi không dừng sớm, tránh lộ chữ ký qua thời gian phản hồi
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Kiểm tra chữ ký HMAC của request từ server.
+ * Body có dạng { payload: '<json>', timestamp, nonce, signature },
+ * signature = HMAC-SHA256(SHARED_SECRET, timestamp + '.' + nonce + '.' + payload) dạng hex.
+ * Trả về { ok: true, data } hoặc { ok: false, code, message }.
+ */
+function verifySignedRequest(body) {
+  const secret = PropertiesService.getScriptProperties().getProperty('SHARED_SECRET');
+  if (!secret) {
+    return { ok: false, code: 'SECRET_NOT_CONFIGURED', message: 'Chưa cấu hình SHARED_SECRET trong Script Properties' };
+  }
+
+  if (!body || typeof body.payload !== 'string' || !body.signature || !body.timestamp || !body.nonce) {
+    return { ok: false, code: 'UNSIGNED', message: 'Request không có chữ ký' };
+  }
+
+  const timestamp = Number(body.timestamp);
+  const now = Math.floor(Date.now() / 1000);
+  if (!isFinite(timestamp) || Math.abs(now - timestamp) > SIGNATURE_MAX_AGE_SECONDS) {
+    return { ok: false, code: 'EXPIRED', message: 'Chữ ký đã hết hạn' };
+  }
+
+  const expected = toHex(Utilities.computeHmacSha256Signature(
+    timestamp + '.' + body.nonce + '.' + body.payload,
+    secret,
+    Utilities.Charset.UTF_8
+  ));
+  if (!constantTimeEquals(expected, String(body.signature).toLowerCase())) {
+    return { ok: false, code: 'BAD_SIGNATURE', message: 'Chữ ký không hợp lệ' };
+  }
+
+  // Mỗi nonce chỉ được dùng một lần trong thời gian chữ ký còn hiệu lực
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const cache = CacheService.getScriptCache();
+    const nonceKey = 'nonce:' + String(body.nonce).substring(0, 100);
+    if (cache.get(nonceKey)) {
+      return { ok: false, code: 'REPLAYED', message: 'Request đã được gửi trước đó' };
+    }
+    cache.put(nonceKey, '1', SIGNATURE_MAX_AGE_SECONDS * 2);
+  } finally {
+    lock.releaseLock();
+  }
+
+  return { ok: true, data: JSON.parse(body.payload) };
+}
+
+// Ký dữ liệu gửi lên server giống cách server ký request gửi tới script
+function signRequest(data) {
+  const secret = PropertiesService.getScriptProperties().getProperty('SHARED_SECRET') || '';
+  const payload = JSON.stringify(data);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = Utilities.getUuid();
+  const signature = toHex(Utilities.computeHmacSha256Signature(
+    timestamp + '.' + nonce + '.' + payload,
+    secret,
+    Utilities.Charset.UTF_8
+  ));
+  return { payload: payload, timestamp: timestamp, nonce: nonce, signature: signature };
+}
+
+// Tạo JSON response
+function jsonResponse(result) {
+  return ContentService
+    .createTextOutput(JSON.stringify(result))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
 // Function để xử lý POST request từ backend
 function doPost(e) {
   try {
-    // Parse JSON data từ request
-    const data = JSON.parse(e.postData.contents);
-    
-    // Lấy spreadsheet
-    const spreadsheet = SpreadsheetApp.openById('1biHwq9fCQ1QjdbjlRBZ2L4kL10VoAaU8L4spQZHaNes');
-    
-    // Lấy sheet - ưu tiên theo tên, nếu không có thì dùng sheet đầu tiên
-    let sheet;
-    if (SHEET_NAME) {
-      sheet = spreadsheet.getSheetByName(SHEET_NAME);
-      if (!sheet) {
-        // Nếu sheet không tồn tại, tạo mới
-        sheet = spreadsheet.insertSheet(SHEET_NAME);
+    // Parse JSON data từ request và kiểm tra chữ ký
+    const verification = verifySignedRequest(JSON.parse(e.postData.contents));
+    if (!verification.ok) {
+      return jsonResponse({
+        success: false,
+        code: verification.code,
+        message: 'Lỗi xác thực: ' + verification.message
+      });
+    }
+    const data = verification.data;
+
+    // Ghi ID cho các dòng cũ server vừa nhập: { assignIds: [{ sheet, row, id, taxCode }] }
+    if (Array.isArray(data.assignIds)) {
+      if (data.assignIds.length > MAX_BATCH_SIZE) {
+        return jsonResponse({
+          success: false,
+          message: 'Lỗi: Tối đa ' + MAX_BATCH_SIZE + ' dòng mỗi request'
+        });
       }
-    } else {
-      // Sử dụng sheet đầu tiên
-      sheet = spreadsheet.getSheets()[0];
-      if (!sheet) {
-        throw new Error('Không tìm thấy sheet nào trong spreadsheet');
+      const assignConfig = getConfig();
+      const assignLock = LockService.getScriptLock();
+      assignLock.waitLock(30000);
+      let assigned;
+      try {
+        assigned = assignRowIds(getDataSheets(assignConfig, true), assignConfig.columns, data.assignIds);
+      } finally {
+        assignLock.releaseLock();
       }
+      return jsonResponse({
+        success: true,
+        results: assigned,
+        message: 'Đã ghi ID cho ' + assigned.filter(function(result) { return result.success; }).length +
+          '/' + assigned.length + ' dòng'
+      });
+    }
+    
+    // Nhận một bản ghi, hoặc nhiều bản ghi dạng { records: [...] }
+    const isBatch = Array.isArray(data.records);
+    const records = isBatch ? data.records : [data];
+    if (records.length > MAX_BATCH_SIZE) {
+      return jsonResponse({
+        success: false,
+        message: 'Lỗi: Tối đa ' + MAX_BATCH_SIZE + ' bản ghi mỗi request'
+      });
     }
     
-    // Kiểm tra và tạo header nếu chưa có
-    const lastRow = sheet.getLastRow();
-    const firstRowValue = sheet.getRange(1, 1).getValue();
-    const hasHeader = (firstRowValue === 'Thời gian');
+    // Lấy sheet theo cấu hình trong Script Properties
+    const config = getConfig();
     
-    // Nếu sheet trống hoặc row đầu tiên không phải header
-    if (lastRow === 0 || !hasHeader) {
-      // Chèn header row ở đầu (nếu có dữ liệu thì insert, nếu không thì append)
-      if (lastRow > 0 && !hasHeader) {
-        sheet.insertRowBefore(1);
-      }
-      // Tạo header row
-      sheet.getRange(1, 1, 1, 7).setValues([[
-        'Thời gian',
-        'Số hóa đơn',
-        'Mã số thuế',
-        'Tên công ty',
-        'Địa chỉ',
-        'Email',
-        'Số điện thoại'
-      ]]);
-      // Format header
-      sheet.getRange(1, 1, 1, 7)
-        .setFontWeight('bold')
-        .setBackground('#f59e0b')
-        .setFontColor('#ffffff')
-        .setHorizontalAlignment('center');
+    // Cập nhật dòng có cùng ID nếu đã tồn tại, nếu không thì thêm dòng mới.
+    // Lock để hai request cùng ID không cùng thêm dòng.
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    let results;
+    try {
+      results = config.monthlySheets
+        ? upsertRecordsByMonth(getSpreadsheet(config), config, records)
+        : upsertRecords(getTargetSheet(config), config.columns, records);
+    } finally {
+      lock.releaseLock();
     }
     
-    // Chuẩn bị dữ liệu để thêm vào sheet
-    const rowData = [
-      new Date().toISOString(),                    // Thời gian
-      data.invoiceNumber || '',                    // Số hóa đơn
-      data.taxCode || '',                          // Mã số thuế
-      data.companyName || '',                      // Tên công ty
-      data.address || '',                          // Địa chỉ
-      data.email || '',                            // Email
-      data.phone || ''                             // Số điện thoại
-    ];
+    if (isBatch) {
+      const saved = results.filter(function(result) { return result.success; }).length;
+      return jsonResponse({
+        success: true,
+        results: results,
+        message: 'Đã ghi ' + saved + '/' + records.length + ' bản ghi vào Google Sheet'
+      });
+    }
     
-    // Thêm dòng mới vào sheet
-    sheet.appendRow(rowData);
+    const result = results[0];
+    if (!result.success) {
+      return jsonResponse({
+        success: false,
+        message: 'Lỗi: ' + result.message
+      });
+    }
     
     // Trả về success response
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: true,
-        message: 'Đã ghi dữ liệu vào Google Sheet thành công'
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({
+      success: true,
+      action: result.action,
+      row: result.row,
+      message: result.action === 'updated'
+        ? 'Đã cập nhật dữ liệu trong Google Sheet thành công'
+        : 'Đã ghi dữ liệu vào Google Sheet thành công'
+    });
       
   } catch (error) {
     // Trả về error response
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        message: 'Lỗi: ' + error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({
+      success: false,
+      message: 'Lỗi: ' + error.toString()
+    });
+  }
+}
+
+/**
+ * Chuyển các tab tháng cũ hơn ARCHIVE_AFTER_MONTHS tháng sang spreadsheet ARCHIVE_SPREADSHEET_ID.
+ * Tab chưa có bên lưu trữ được copy nguyên (cả format); nếu đã có thì nối thêm các dòng dữ liệu.
+ * Chạy bằng trigger hằng tháng (installArchiveTrigger) hoặc chạy tay trong editor.
+ */
+function archiveOldMonths() {
+  const config = getConfig();
+  if (!config.monthlySheets || !config.archiveSpreadsheetId) {
+    Logger.log('Bỏ qua lưu trữ: cần MONTHLY_SHEETS=true và ARCHIVE_SPREADSHEET_ID');
+    return { archived: [] };
+  }
+
+  const spreadsheet = getSpreadsheet(config);
+  const archive = SpreadsheetApp.openById(config.archiveSpreadsheetId);
+  const now = new Date();
+  // Tab có tên nhỏ hơn cutoff (yyyy-MM so sánh được như chuỗi) sẽ được lưu trữ
+  const cutoff = getMonthSheetName(new Date(now.getFullYear(), now.getMonth() - config.archiveAfterMonths, 1));
+
+  const archived = [];
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    getMonthSheets(spreadsheet).forEach(function(sheet) {
+      const name = sheet.getName();
+      if (name >= cutoff) {
+        return;
+      }
+
+      const dataRows = Math.max(sheet.getLastRow() - 1, 0);
+      const existing = archive.getSheetByName(name);
+      if (!existing) {
+        sheet.copyTo(archive).setName(name);
+      } else if (dataRows > 0) {
+        const values = sheet.getRange(2, 1, dataRows, sheet.getLastColumn()).getValues()
+          .map(function(line) { return line.map(neutralizeFormula); });
+        existing.getRange(existing.getLastRow() + 1, 1, values.length, values[0].length).setValues(values);
+      }
+
+      spreadsheet.deleteSheet(sheet);
+      archived.push({ sheet: name, rows: dataRows });
+    });
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log('Đã lưu trữ ' + archived.length + ' tab: ' + JSON.stringify(archived));
+  return { archived: archived };
+}
+
+// Xóa trigger cũ của một function để chạy lại install không tạo trigger trùng
+function deleteTriggers(handlerFunction) {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === handlerFunction) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+// Chạy một lần trong editor: tạo trigger chạy archiveOldMonths vào ngày 1 hằng tháng (khoảng 2 giờ sáng)
+function installArchiveTrigger() {
+  deleteTriggers('archiveOldMonths');
+  ScriptApp.newTrigger('archiveOldMonths')
+    .timeBased()
+    .onMonthDay(1)
+    .atHour(2)
+    .create();
+}
+
+// Mã số thuế đúng chữ số kiểm tra: chữ số thứ 10 = 10 - (tổng 9 chữ số đầu nhân trọng số) mod 11
+function isValidTaxCodeChecksum(taxCode) {
+  const digits = String(taxCode).replace(/\D/g, '');
+  if (digits.length !== 10 && digits.length !== 13) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits.charAt(i)) * TAX_CODE_WEIGHTS[i];
+  }
+  return 10 - (sum % 11) === Number(digits.charAt(9));
+}
+
+// Cộng một bản ghi vào nhóm theo key, giữ tên công ty mới nhất
+function countInto(groups, key, fields, createdAt, companyName) {
+  const group = groups[key] || (groups[key] = { fields: fields, count: 0, lastAt: '', companyName: '' });
+  group.count++;
+  if (createdAt >= group.lastAt) {
+    group.lastAt = createdAt;
+    group.companyName = companyName || group.companyName;
+  }
+}
+
+// Nhóm -> các dòng của bảng, nhiều bản ghi trước
+function groupRows(groups, toRow) {
+  return Object.keys(groups)
+    .map(function(key) { return groups[key]; })
+    .sort(function(a, b) { return b.count - a.count; })
+    .map(toRow);
+}
+
+/**
+ * Tính lại tab tổng hợp từ mọi sheet dữ liệu (không gồm tab đã lưu trữ):
+ *   - theo ngày tạo (múi giờ của script), ngày mới trước
+ *   - theo chi nhánh: từng đơn vị theo mã số thuế (MST 13 số là chi nhánh, 10 số là trụ sở chính)
+ *   - theo công ty: gộp các chi nhánh theo 10 số đầu của mã số thuế
+ * cùng số cặp mã số thuế + số hóa đơn bị trùng và số mã số thuế sai chữ số kiểm tra.
+ * Đồng thời đặt lại định dạng cảnh báo cho các sheet dữ liệu.
+ * Chạy bằng trigger (installSummaryTrigger) hoặc chạy tay trong editor.
+ */
+function refreshSummary() {
+  const config = getConfig();
+  const spreadsheet = getSpreadsheet(config);
+  const timeZone = Session.getScriptTimeZone();
+  const sheets = getDataSheets(config, false);
+
+  const byDay = {};
+  const byBranch = {};
+  const byCompany = {};
+  const pairs = {};
+  let total = 0;
+  let invalidTaxCodes = 0;
+
+  readSheetTables(sheets, config.columns).forEach(function(table) {
+    table.values.forEach(function(line, i) {
+      if (line.every(function(value) { return value === '' || value === null; })) {
+        return;
+      }
+      const record = rowToRecord(table, line, i + 2);
+      const taxCode = record.taxCode || '';
+      const digits = taxCode.replace(/\D/g, '');
+      const date = record.createdAt ? new Date(record.createdAt) : null;
+      const createdAt = date && !isNaN(date.getTime()) ? date.toISOString() : '';
+      total++;
+
+      const day = createdAt ? Utilities.formatDate(date, timeZone, 'yyyy-MM-dd') : '(không rõ)';
+      byDay[day] = (byDay[day] || 0) + 1;
+
+      const isBranch = digits.length === 13;
+      const companyTaxCode = isBranch ? digits.slice(0, 10) : (digits || taxCode);
+      countInto(byBranch, digits || taxCode, [digits || taxCode, isBranch ? 'Chi nhánh ' + digits.slice(10) : 'Trụ sở chính'],
+        createdAt, record.companyName);
+      countInto(byCompany, companyTaxCode, [companyTaxCode], createdAt, record.companyName);
+
+      if (taxCode && !isValidTaxCodeChecksum(taxCode)) {
+        invalidTaxCodes++;
+      }
+      if (taxCode && record.invoiceNumber) {
+        const pair = taxCode + '|' + normalizeSheetInvoiceNumber(record.invoiceNumber);
+        pairs[pair] = (pairs[pair] || 0) + 1;
+      }
+    });
+  });
+
+  const duplicatePairs = Object.keys(pairs).filter(function(pair) { return pairs[pair] > 1; }).length;
+  const dayRows = Object.keys(byDay).sort().reverse().map(function(day) { return [day, byDay[day]]; });
+  const branchRows = groupRows(byBranch, function(group) {
+    return group.fields.concat([group.companyName, group.count]);
+  });
+  const companyRows = groupRows(byCompany, function(group) {
+    return group.fields.concat([group.companyName, group.count, group.lastAt]);
+  });
+
+  const summary = spreadsheet.getSheetByName(config.summarySheetName) ||
+    spreadsheet.insertSheet(config.summarySheetName);
+  summary.clearContents();
+  summary.getRange(1, 1, 4, 2).setValues([
+    ['Cập nhật lúc', Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm:ss')],
+    ['Tổng số bản ghi', total],
+    ['Cặp MST + số hóa đơn bị trùng', duplicatePairs],
+    ['MST sai chữ số kiểm tra', invalidTaxCodes]
+  ]);
+  // Ba bảng đặt cạnh nhau từ dòng 6 để độ dài bảng này không đè lên bảng kia
+  writeSummaryTable(summary, 1, ['Ngày', 'Số bản ghi'], dayRows);
+  writeSummaryTable(summary, 4, ['MST', 'Chi nhánh', 'Tên công ty', 'Số bản ghi'], branchRows);
+  writeSummaryTable(summary, 9, ['MST công ty', 'Tên công ty', 'Số bản ghi', 'Gần nhất'], companyRows);
+
+  sheets.forEach(function(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn > 0) {
+      applyHighlightRules(sheet, sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String), config.columns);
+    }
+  });
+
+  Logger.log('Đã cập nhật ' + config.summarySheetName + ': ' + total + ' bản ghi');
+  return { total: total, days: dayRows.length, branches: branchRows.length, companies: companyRows.length,
+    duplicatePairs: duplicatePairs, invalidTaxCodes: invalidTaxCodes };
+}
+
+// Một bảng của tab tổng hợp: header (format giống sheet dữ liệu) ở dòng 6, dữ liệu từ dòng 7
+function writeSummaryTable(sheet, column, header, rows) {
+  sheet.getRange(6, column, 1, header.length)
+    .setValues([header])
+    .setFontWeight('bold')
+    .setBackground('#f59e0b')
+    .setFontColor('#ffffff');
+  if (rows.length > 0) {
+    // Tên công ty đọc lại từ sheet đã mất dấu ' chống công thức
+    sheet.getRange(7, column, rows.length, header.length)
+      .setValues(rows.map(function(line) { return line.map(neutralizeFormula); }));
+  }
+}
+
+// Chạy một lần trong editor: tạo trigger cập nhật tab tổng hợp mỗi 15 phút
+function installSummaryTrigger() {
+  deleteTriggers('refreshSummary');
+  ScriptApp.newTrigger('refreshSummary')
+    .timeBased()
+    .everyMinutes(15)
+    .create();
+}
+
+// Menu trong spreadsheet để kế toán cập nhật tay (chỉ có khi script gắn với spreadsheet)
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('Tax Info')
+    .addItem('Cập nhật tab tổng hợp', 'refreshSummary')
+    .addToUi();
+}
+
+// Gửi trạng thái mới lên CALLBACK_URL. Trả về { ok, message }
+function sendStatusCallback(callbackUrl, data) {
+  try {
+    const response = UrlFetchApp.fetch(callbackUrl, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(signRequest(data)),
+      muteHttpExceptions: true
+    });
+    let result = {};
+    try {
+      result = JSON.parse(response.getContentText());
+    } catch (error) {
+      // Server không trả JSON - dùng mã HTTP
+    }
+    const code = response.getResponseCode();
+    if (code >= 200 && code < 300 && result.success !== false) {
+      return { ok: true, message: result.message || 'OK' };
+    }
+    return { ok: false, message: 'HTTP ' + code + (result.message ? ' - ' + result.message : '') };
+  } catch (error) {
+    return { ok: false, message: error.toString() };
+  }
+}
+
+/**
+ * Trigger onEdit (cài bằng installStatusTrigger): khi cột "Trạng thái" của sheet dữ liệu đổi,
+ * báo từng dòng có ID lên server. Gửi không được thì ghi chú (note) lý do vào ô -
+ * chọn lại trạng thái để gửi lại.
+ * Dùng trigger cài đặt vì onEdit đơn giản không được gọi UrlFetchApp.
+ */
+function onStatusEdit(e) {
+  const config = getConfig();
+  if (!e || !e.range || !config.callbackUrl) {
+    return;
+  }
+
+  const sheet = e.range.getSheet();
+  const isDataSheet = getDataSheets(config, false).some(function(dataSheet) {
+    return dataSheet.getName() === sheet.getName();
+  });
+  const lastColumn = sheet.getLastColumn();
+  if (!isDataSheet || lastColumn < 1) {
+    return;
+  }
+
+  const headerRow = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+  const statusColumn = headerRow.indexOf(getColumnHeader(config.columns, 'status')) + 1;
+  const idColumn = headerRow.indexOf(getColumnHeader(config.columns, 'id')) + 1;
+  const firstColumn = e.range.getColumn();
+  if (statusColumn === 0 || idColumn === 0 ||
+      statusColumn < firstColumn || statusColumn >= firstColumn + e.range.getNumColumns()) {
+    return;
+  }
+
+  // Sửa một ô thì biết trạng thái cũ; dán nhiều ô thì không
+  const isSingleCell = e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+  const editedBy = e.user && e.user.getEmail ? e.user.getEmail() : '';
+  const lastRow = e.range.getRow() + e.range.getNumRows() - 1;
+
+  for (let row = Math.max(e.range.getRow(), 2); row <= lastRow; row++) {
+    const line = sheet.getRange(row, 1, 1, lastColumn).getValues()[0];
+    const id = toCellText(line[idColumn - 1]).trim();
+    const status = toStatusCode(line[statusColumn - 1]);
+    // Dòng không có ID (nhập tay) không khớp được với server
+    if (!id || !STATUS_LABELS[status]) {
+      continue;
+    }
+
+    const result = sendStatusCallback(config.callbackUrl, {
+      id: id,
+      status: status,
+      previousStatus: isSingleCell && e.oldValue !== undefined ? toStatusCode(e.oldValue) : null,
+      sheet: sheet.getName(),
+      row: row,
+      editedBy: editedBy,
+      editedAt: new Date().toISOString()
+    });
+    sheet.getRange(row, statusColumn).setNote(result.ok ? '' : 'Chưa báo được trạng thái lên server: ' + result.message);
+    if (!result.ok) {
+      Logger.log('Không báo được trạng thái dòng ' + row + ' (' + id + '): ' + result.message);
+    }
   }
 }
 
+// Chạy một lần trong editor: tạo trigger onEdit gọi onStatusEdit
+function installStatusTrigger() {
+  deleteTriggers('onStatusEdit');
+  ScriptApp.newTrigger('onStatusEdit')
+    .forSpreadsheet(getSpreadsheet(getConfig()))
+    .onEdit()
+    .create();
+}
+
 // Function để test (optional)
 function test() {
   const testData = {
@@ -126,9 +1133,10 @@ function test() {
     phone: '0123456789'
   };
   
+  // Ký dữ liệu test bằng SHARED_SECRET giống như server
   const mockEvent = {
     postData: {
-      contents: JSON.stringify(testData)
+      contents: JSON.stringify(signRequest(testData))
     }
   };
   
@@ -136,14 +1144,199 @@ function test() {
   Logger.log(result.getContent());
 }
 
-// Function doGet để test connection (optional)
+// Số dòng tối đa trả về cho một truy vấn doGet
+const MAX_QUERY_ROWS = 500;
+
+// Giá trị ô dạng chuỗi để trả về / so sánh (Sheets tự đổi ngày và số)
+function toCellText(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Sheets bỏ số 0 đầu của mã số thuế dạng số (0316794479 -> 316794479, mã 13 số tương tự)
+function normalizeSheetTaxCode(value) {
+  const text = toCellText(value).trim().replace(/^(\d{10})-(\d{3})$/, '$1$2');
+  return /^\d{9}$|^\d{12}$/.test(text) ? '0' + text : text;
+}
+
+function normalizeSheetInvoiceNumber(value) {
+  return toCellText(value).trim().toUpperCase();
+}
+
+// Đọc toàn bộ dữ liệu (trừ header) cùng vị trí các cột đã cấu hình, null nếu sheet chưa có dữ liệu
+function readSheetTable(sheet, columns) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || lastColumn < 1) {
+    return null;
+  }
+
+  const headerRow = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+  const mapped = columns
+    .filter(function(column) { return headerRow.indexOf(column.header) !== -1; })
+    .map(function(column) { return { field: column.field, index: headerRow.indexOf(column.header) }; });
+
+  return {
+    sheetName: sheet.getName(),
+    mapped: mapped,
+    values: sheet.getRange(2, 1, lastRow - 1, lastColumn).getValues()
+  };
+}
+
+// Đọc nhiều sheet, bỏ qua sheet chưa có dữ liệu
+function readSheetTables(sheets, columns) {
+  return sheets
+    .map(function(sheet) { return readSheetTable(sheet, columns); })
+    .filter(function(table) { return table !== null; });
+}
+
+// Vị trí cột của một field, -1 nếu sheet không có cột đó
+function fieldIndex(table, field) {
+  const column = table.mapped.filter(function(c) { return c.field === field; })[0];
+  return column ? column.index : -1;
+}
+
+// Một dòng dữ liệu -> { sheet, row, field: giá trị, ... } theo cấu hình COLUMNS
+function rowToRecord(table, line, rowNumber) {
+  const record = { sheet: table.sheetName, row: rowNumber };
+  table.mapped.forEach(function(column) {
+    const value = line[column.index];
+    if (column.field === 'taxCode') {
+      record[column.field] = normalizeSheetTaxCode(value);
+    } else if (column.field === 'status') {
+      record[column.field] = toStatusCode(value);
+    } else {
+      record[column.field] = toCellText(value);
+    }
+  });
+  return record;
+}
+
+/**
+ * Tìm các dòng khớp query { taxCode, invoiceNumber, limit } (điều kiện AND, bỏ trống = bỏ qua)
+ * trong các sheet (cũ trước). Trả về tối đa limit dòng mới nhất, dòng mới nhất trước:
+ *   [{ sheet, row, id, createdAt, taxCode, ... }] với các field theo cấu hình COLUMNS.
+ */
+function findRows(sheets, columns, query) {
+  const taxCode = query.taxCode ? normalizeSheetTaxCode(query.taxCode) : '';
+  const invoiceNumber = query.invoiceNumber ? normalizeSheetInvoiceNumber(query.invoiceNumber) : '';
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_QUERY_ROWS);
+  const tables = readSheetTables(sheets, columns);
+
+  const rows = [];
+  for (let t = tables.length - 1; t >= 0 && rows.length < limit; t--) {
+    const table = tables[t];
+    const taxCodeIndex = fieldIndex(table, 'taxCode');
+    const invoiceIndex = fieldIndex(table, 'invoiceNumber');
+    if ((taxCode && taxCodeIndex === -1) || (invoiceNumber && invoiceIndex === -1)) {
+      continue;
+    }
+
+    for (let i = table.values.length - 1; i >= 0 && rows.length < limit; i--) {
+      const line = table.values[i];
+      if (taxCode && normalizeSheetTaxCode(line[taxCodeIndex]) !== taxCode) {
+        continue;
+      }
+      if (invoiceNumber && normalizeSheetInvoiceNumber(line[invoiceIndex]) !== invoiceNumber) {
+        continue;
+      }
+      rows.push(rowToRecord(table, line, i + 2));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Liệt kê mọi dòng của các sheet theo thứ tự, từng trang (dùng để đối soát với server).
+ * Bỏ qua dòng trống. Trả về { total, rows } với total = số dòng dữ liệu (kể cả dòng trống).
+ */
+function listRows(sheets, columns, offset, limit) {
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+  const size = Math.min(Math.max(parseInt(limit, 10) || MAX_QUERY_ROWS, 1), MAX_QUERY_ROWS);
+  const rows = [];
+  let total = 0;
+
+  readSheetTables(sheets, columns).forEach(function(table) {
+    for (let i = 0; i < table.values.length; i++) {
+      const position = total + i;
+      if (position < start || position >= start + size) {
+        continue;
+      }
+      const isBlank = table.values[i].every(function(value) { return value === '' || value === null; });
+      if (!isBlank) {
+        rows.push(rowToRecord(table, table.values[i], i + 2));
+      }
+    }
+    total += table.values.length;
+  });
+
+  return { total: total, rows: rows };
+}
+
+/**
+ * GET không tham số: kiểm tra script đang chạy.
+ * GET có truy vấn: tìm dòng theo mã số thuế / số hóa đơn. Dữ liệu có email, số điện thoại
+ * nên truy vấn phải được ký giống doPost, gửi qua query string:
+ *   ?payload=<json {taxCode, invoiceNumber, limit}>&timestamp=...&nonce=...&signature=...
+ * Trả về { success: true, count, rows: [...] }.
+ * Query { all: true, offset, limit } liệt kê mọi dòng (từng trang, kể cả tab đã lưu trữ) và trả thêm total.
+ */
 function doGet(e) {
-  return ContentService
-    .createTextOutput(JSON.stringify({
+  const params = (e && e.parameter) || {};
+  const isQuery = Boolean(params.payload || params.taxCode || params.invoiceNumber);
+
+  if (!isQuery) {
+    return ContentService
+      .createTextOutput(JSON.stringify({
+        success: true,
+        message: 'Tax Info Google Apps Script is running',
+        timestamp: new Date().toISOString(),
+        sheetName: PropertiesService.getScriptProperties().getProperty('SHEET_NAME') || null
+      }))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+
+  try {
+    const verification = verifySignedRequest(params);
+    if (!verification.ok) {
+      return jsonResponse({
+        success: false,
+        code: verification.code,
+        message: 'Lỗi xác thực: ' + verification.message
+      });
+    }
+    const query = verification.data || {};
+    const config = getConfig();
+
+    if (query.all) {
+      const page = listRows(getDataSheets(config, true), config.columns, query.offset, query.limit);
+      return jsonResponse({
+        success: true,
+        count: page.rows.length,
+        total: page.total,
+        rows: page.rows
+      });
+    }
+
+    if (!query.taxCode && !query.invoiceNumber) {
+      return jsonResponse({
+        success: false,
+        message: 'Lỗi: Cần taxCode hoặc invoiceNumber'
+      });
+    }
+
+    const rows = findRows(getDataSheets(config, false), config.columns, query);
+    return jsonResponse({
       success: true,
-      message: 'Tax Info Google Apps Script is running',
-      timestamp: new Date().toISOString(),
-      sheetName: SHEET_NAME
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+      count: rows.length,
+      rows: rows
+    });
+  } catch (error) {
+    return jsonResponse({
+      success: false,
+      message: 'Lỗi: ' + error.toString()
+    });
+  }
 }
@@ -0,0 +1,70 @@
+/**
+ * Guard for /api/admin/* routes.
+ *
+ * Requests must send the shared ADMIN_API_KEY as "Authorization: Bearer <key>" or "X-Admin-Key: <key>".
+ * When ADMIN_API_KEY is not set the admin routes are disabled entirely.
+ *
+ * Scheduled jobs (/api/cron/*) accept the admin key too, or CRON_SECRET, which Vercel Cron
+ * sends as "Authorization: Bearer <CRON_SECRET>".
+ */
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Compare hashes so different key lengths do not leak through timing
+const safeEqual = (a, b) => timingSafeEqual(
+  createHash('sha256').update(a).digest(),
+  createHash('sha256').update(b).digest()
+);
+
+const getProvidedKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.get('X-Admin-Key') || '';
+};
+
+// True when the request carries the admin key - for routes open to both customers and admins
+export const isAdminRequest = (req) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = getProvidedKey(req);
+  return Boolean(adminKey && provided) && safeEqual(provided, adminKey);
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.'
+    });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+
+  next();
+};
+
+export const requireCronSecret = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+  const provided = getProvidedKey(req);
+  if (cronSecret && provided && safeEqual(provided, cronSecret)) {
+    return next();
+  }
+  if (isAdminRequest(req)) {
+    return next();
+  }
+
+  if (!cronSecret && !process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      success: false,
+      message: 'Cron endpoints are disabled. Set CRON_SECRET to enable them.'
+    });
+  }
+  res.status(401).json({
+    success: false,
+    message: 'Unauthorized'
+  });
+};
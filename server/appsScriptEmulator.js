@@ -0,0 +1,801 @@
+/**
+ * Local stand-in for the Apps Script web app (google-apps-script.js).
+ *
+ * Runs the real doPost/doGet in a Node vm against fake SpreadsheetApp, ContentService,
+ * PropertiesService, CacheService, LockService and Utilities objects backed by in-memory
+ * sheets, and serves them over HTTP so GOOGLE_APPS_SCRIPT_URL can point at it.
+ * UrlFetchApp makes real requests (status callbacks reach a locally running server).
+ * Like Sheets, number-like text written to a cell is stored as a number (0316794479 -> 316794479)
+ * unless it starts with an apostrophe or the cell is formatted as plain text ('@').
+ * Text starting with '=' becomes a formula; reading the cell evaluates it (see sheetFormula.js).
+ * getHighlight() evaluates the conditional format rules of a cell (see sheetFormula.js).
+ * Start it with `npm run emulate-sheets` (see emulate-apps-script.js).
+ *
+ * Faults can be injected to exercise the client's error handling and retries:
+ *   401 | 403 | 404 | 429 | 5xx  respond with that HTTP status
+ *   timeout                      hold the request for delayMs (default 60000), then drop the connection
+ *   malformed                    HTTP 200 with an HTML page instead of JSON
+ *   script-error                 HTTP 200 with { success: false, message }
+ *
+ * Control endpoints (not part of Apps Script):
+ *   GET    /__emulator/state   spreadsheets, script properties and queued faults
+ *   POST   /__emulator/fault   queue faults: { type, count, delayMs } or an array of them
+ *                              (count omitted = until cleared)
+ *   DELETE /__emulator/fault   clear queued faults
+ *   POST   /__emulator/run     run a script function, e.g. { "function": "archiveOldMonths" }
+ *   POST   /__emulator/edit    edit a cell like an accountant and fire the onEdit triggers:
+ *                              { sheet, row, column | header, value, user }
+ *   POST   /__emulator/reset   clear every sheet and the script cache
+ */
+import { spawnSync } from 'child_process';
+import { createHmac, randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+import { evaluateFormula } from './sheetFormula.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_SCRIPT_PATH = path.join(__dirname, '..', 'google-apps-script.js');
+
+const ACTIVE_SPREADSHEET_ID = 'emulator';
+const FAULT_TYPES = ['timeout', 'malformed', 'script-error'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Sheets parses text written to a cell like typed input. A leading apostrophe marks text
+// and is not part of the stored value; plain text cells keep the string as it is.
+// A formula is stored as { formula } in the sheet's rows.
+const toCellValue = (value, plainText) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (value.startsWith("'")) {
+    return value.slice(1);
+  }
+  if (!plainText && value.startsWith('=')) {
+    return { formula: value };
+  }
+  return !plainText && NUMBER_PATTERN.test(value.trim()) ? Number(value.trim()) : value;
+};
+
+const isFormula = (value) => Boolean(value) && typeof value.formula === 'string';
+
+// In-memory sheet with the subset of the Sheet/Range API the script uses
+const createFakeSheet = (name, rows = [], conditionalFormatRules = []) => {
+  let sheetName = name;
+  let hidden = false;
+  let frozenRows = 0;
+  let formatRules = [...conditionalFormatRules];
+  const notes = new Map();
+  const validations = [];
+  const numberFormats = [];
+
+  const isEmpty = (value) => value === '' || value === null || value === undefined;
+  const getLastRow = () => {
+    for (let index = rows.length - 1; index >= 0; index--) {
+      if ((rows[index] || []).some((value) => !isEmpty(value))) {
+        return index + 1;
+      }
+    }
+    return 0;
+  };
+  const getLastColumn = () => rows.reduce((last, row) => {
+    const filled = (row || []).reduce((max, value, index) => (isEmpty(value) ? max : index + 1), 0);
+    return Math.max(last, filled);
+  }, 0);
+
+  // The last format set on a range that covers the cell wins
+  const getNumberFormat = (row, column) => {
+    const match = [...numberFormats].reverse().find((entry) => row >= entry.row && row < entry.row + entry.numRows
+      && column >= entry.column && column < entry.column + entry.numColumns);
+    return match ? match.format : 'General';
+  };
+
+  // Value shown in a cell - a formula is evaluated, an unsupported one reads as #ERROR!
+  const readCell = (row, column) => {
+    const value = rows[row - 1]?.[column - 1];
+    if (isFormula(value)) {
+      try {
+        return evaluateFormula(value.formula, { getCell: readCell, getColumn: readColumn, origin: { row, column } });
+      } catch (error) {
+        return '#ERROR!';
+      }
+    }
+    return isEmpty(value) ? '' : value;
+  };
+  const readColumn = (column) => Array.from({ length: getLastRow() }, (_, r) => readCell(r + 1, column));
+
+  const getRange = (row, column, numRows = 1, numColumns = 1) => {
+    const cell = (r, c) => readCell(row + r, column + c);
+    const formula = (r, c) => {
+      const value = rows[row - 1 + r]?.[column - 1 + c];
+      return isFormula(value) ? value.formula : '';
+    };
+    const setCell = (r, c, value) => {
+      const index = row - 1 + r;
+      rows[index] = rows[index] || [];
+      rows[index][column - 1 + c] = toCellValue(value, getNumberFormat(row + r, column + c) === '@');
+    };
+
+    const range = {
+      getSheet: () => sheet,
+      getRow: () => row,
+      getColumn: () => column,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+      getValue: () => cell(0, 0),
+      getValues: () => Array.from({ length: numRows }, (_, r) => Array.from({ length: numColumns }, (_, c) => cell(r, c))),
+      setValue: (value) => {
+        setCell(0, 0, value);
+        return range;
+      },
+      setValues: (values) => {
+        if (values.length !== numRows || values.some((line) => line.length !== numColumns)) {
+          throw new Error(`The number of rows or columns in the data does not match the range (${numRows}x${numColumns})`);
+        }
+        values.forEach((line, r) => line.forEach((value, c) => setCell(r, c, value)));
+        return range;
+      },
+      getFormula: () => formula(0, 0),
+      getFormulas: () => Array.from({ length: numRows }, (_, r) => Array.from({ length: numColumns }, (_, c) => formula(r, c))),
+      setFormula: (value) => {
+        setCell(0, 0, value);
+        return range;
+      },
+      getNote: () => notes.get(`${row}:${column}`) || '',
+      setNote: (note) => {
+        notes.set(`${row}:${column}`, note || '');
+        return range;
+      },
+      getDataValidation: () => {
+        const match = [...validations].reverse().find((entry) => row >= entry.row && row < entry.row + entry.numRows
+          && column >= entry.column && column < entry.column + entry.numColumns);
+        return match ? match.rule : null;
+      },
+      setDataValidation: (rule) => {
+        validations.push({ row, column, numRows, numColumns, rule });
+        return range;
+      },
+      getNumberFormat: () => getNumberFormat(row, column),
+      // Only plain text ('@') changes how values are stored
+      setNumberFormat: (format) => {
+        numberFormats.push({ row, column, numRows, numColumns, format });
+        return range;
+      }
+    };
+    // Formatting has no effect on the stored values
+    ['setFontWeight', 'setBackground', 'setFontColor', 'setHorizontalAlignment'].forEach((method) => {
+      range[method] = () => range;
+    });
+    return range;
+  };
+
+  const sheet = {
+    rows,
+    getName: () => sheetName,
+    setName: (newName) => {
+      sheetName = newName;
+      return sheet;
+    },
+    isSheetHidden: () => hidden,
+    hideSheet: () => {
+      hidden = true;
+      return sheet;
+    },
+    getFrozenRows: () => frozenRows,
+    setFrozenRows: (count) => {
+      frozenRows = count;
+      return sheet;
+    },
+    getConditionalFormatRules: () => [...formatRules],
+    setConditionalFormatRules: (rules) => {
+      formatRules = [...rules];
+    },
+    // A new sheet has 1000 rows
+    getMaxRows: () => Math.max(rows.length, 1000),
+    // Copies values only - formatting is not emulated
+    copyTo: (spreadsheet) => spreadsheet.addSheet(createFakeSheet(`Copy of ${sheetName}`, rows.map((row) => [...(row || [])]))),
+    getLastRow,
+    getLastColumn,
+    getRange,
+    clearContents: () => {
+      rows.length = 0;
+      return sheet;
+    },
+    appendRow: (values) => {
+      rows[getLastRow()] = [...values];
+    },
+    insertRowBefore: (beforePosition) => {
+      rows.splice(beforePosition - 1, 0, []);
+    }
+  };
+  return sheet;
+};
+
+const createFakeSpreadsheet = (id) => {
+  const sheets = [createFakeSheet('Sheet1')];
+  const spreadsheet = {
+    sheets,
+    getId: () => id,
+    getSheets: () => [...sheets],
+    getSheetByName: (name) => sheets.find((sheet) => sheet.getName() === name) || null,
+    // insertSheet(name) or insertSheet(name, { template }) - a template's values and conditional formats are copied
+    insertSheet: (name, options = {}) => {
+      if (sheets.some((sheet) => sheet.getName() === name)) {
+        throw new Error(`A sheet with the name "${name}" already exists`);
+      }
+      const { template } = options;
+      const rows = template ? template.rows.map((row) => [...(row || [])]) : [];
+      return spreadsheet.addSheet(createFakeSheet(name, rows, template ? template.getConditionalFormatRules() : []));
+    },
+    deleteSheet: (sheet) => {
+      const index = sheets.indexOf(sheet);
+      if (index === -1) {
+        throw new Error('Sheet not found');
+      }
+      sheets.splice(index, 1);
+    },
+    // Not part of Apps Script - used by Sheet.copyTo
+    addSheet: (sheet) => {
+      sheets.push(sheet);
+      return sheet;
+    }
+  };
+  return spreadsheet;
+};
+
+// Utilities.formatDate for the yyyy, MM, dd, HH, mm and ss tokens
+const formatDate = (date, timeZone, pattern) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  const tokens = { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+// SpreadsheetApp.newConditionalFormatRule() for custom-formula rules
+const newConditionalFormatRule = () => {
+  const settings = { formula: null, background: null, ranges: [] };
+  const builder = {
+    whenFormulaSatisfied: (formula) => {
+      settings.formula = formula;
+      return builder;
+    },
+    setBackground: (color) => {
+      settings.background = color;
+      return builder;
+    },
+    setRanges: (ranges) => {
+      settings.ranges = [...ranges];
+      return builder;
+    },
+    build: () => ({
+      getBooleanCondition: () => (settings.formula === null
+        ? null
+        : { getCriteriaType: () => 'CUSTOM_FORMULA', getCriteriaValues: () => [settings.formula] }),
+      getBackground: () => settings.background,
+      getRanges: () => [...settings.ranges]
+    })
+  };
+  return builder;
+};
+
+// SpreadsheetApp.newDataValidation() for value lists
+const newDataValidation = () => {
+  const settings = { values: [], allowInvalid: true, helpText: '' };
+  const builder = {
+    requireValueInList: (values) => {
+      settings.values = [...values];
+      return builder;
+    },
+    setAllowInvalid: (allowInvalid) => {
+      settings.allowInvalid = allowInvalid;
+      return builder;
+    },
+    setHelpText: (helpText) => {
+      settings.helpText = helpText;
+      return builder;
+    },
+    build: () => ({
+      getCriteriaType: () => 'VALUE_IN_LIST',
+      getCriteriaValues: () => [[...settings.values], true],
+      getAllowInvalid: () => settings.allowInvalid,
+      getHelpText: () => settings.helpText
+    })
+  };
+  return builder;
+};
+
+// UrlFetchApp.fetch is synchronous, so the request runs in a child Node process
+const FETCH_CHILD_SCRIPT = `
+let input = '';
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', async () => {
+  const { url, options } = JSON.parse(input);
+  try {
+    const response = await fetch(url, options);
+    process.stdout.write(JSON.stringify({ status: response.status, body: await response.text() }));
+  } catch (error) {
+    process.stdout.write(JSON.stringify({ error: error.message }));
+  }
+});
+`;
+
+const createUrlFetchApp = () => ({
+  fetch: (url, params = {}) => {
+    const method = String(params.method || 'get').toUpperCase();
+    const headers = { ...(params.headers || {}) };
+    if (params.contentType) {
+      headers['Content-Type'] = params.contentType;
+    }
+    const child = spawnSync(process.execPath, ['-e', FETCH_CHILD_SCRIPT], {
+      input: JSON.stringify({ url, options: { method, headers, body: method === 'GET' ? undefined : params.payload } }),
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    let result;
+    try {
+      result = JSON.parse(child.stdout);
+    } catch (error) {
+      result = { error: child.error ? child.error.message : 'No response' };
+    }
+    if (result.error) {
+      throw new Error(`Exception: Request failed for ${url}: ${result.error}`);
+    }
+    if (result.status >= 400 && !params.muteHttpExceptions) {
+      throw new Error(`Exception: Request failed for ${url} returned code ${result.status}`);
+    }
+    return {
+      getResponseCode: () => result.status,
+      getContentText: () => result.body
+    };
+  }
+});
+
+// Time-driven triggers never fire - run handlers with POST /__emulator/run.
+// onEdit triggers fire on emulator.editCell (POST /__emulator/edit).
+const createScriptApp = (triggers) => {
+  const newTrigger = (handlerFunction) => {
+    let eventType = 'CLOCK';
+    const trigger = {
+      getHandlerFunction: () => handlerFunction,
+      getEventType: () => eventType,
+      getUniqueId: () => randomUUID()
+    };
+    const builder = new Proxy({}, {
+      get: (target, method) => {
+        if (method === 'create') {
+          return () => {
+            triggers.push(trigger);
+            return trigger;
+          };
+        }
+        return () => {
+          if (method === 'onEdit') {
+            eventType = 'ON_EDIT';
+          }
+          return builder;
+        };
+      }
+    });
+    return builder;
+  };
+  return {
+    EventType: { CLOCK: 'CLOCK', ON_EDIT: 'ON_EDIT' },
+    newTrigger,
+    getProjectTriggers: () => [...triggers],
+    deleteTrigger: (trigger) => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) {
+        triggers.splice(index, 1);
+      }
+    }
+  };
+};
+
+// Global services visible to google-apps-script.js
+const createServices = ({ spreadsheets, properties, cache, triggers, timeZone }) => ({
+  console,
+  Logger: { log: (...args) => console.log('[Apps Script]', ...args) },
+  SpreadsheetApp: {
+    newConditionalFormatRule,
+    newDataValidation,
+    getActiveSpreadsheet: () => spreadsheets.get(ACTIVE_SPREADSHEET_ID),
+    // Any id opens (or creates) an in-memory spreadsheet
+    openById: (id) => {
+      if (!spreadsheets.has(id)) {
+        spreadsheets.set(id, createFakeSpreadsheet(id));
+      }
+      return spreadsheets.get(id);
+    }
+  },
+  ContentService: {
+    MimeType: { JSON: 'application/json', TEXT: 'text/plain' },
+    createTextOutput: (content = '') => {
+      let mimeType = 'text/plain';
+      const output = {
+        getContent: () => content,
+        getMimeType: () => mimeType,
+        setMimeType: (type) => {
+          mimeType = type;
+          return output;
+        }
+      };
+      return output;
+    }
+  },
+  PropertiesService: {
+    getScriptProperties: () => ({
+      getProperty: (key) => (properties[key] === undefined ? null : String(properties[key])),
+      setProperty: (key, value) => {
+        properties[key] = String(value);
+      },
+      getProperties: () => ({ ...properties })
+    })
+  },
+  CacheService: {
+    getScriptCache: () => ({
+      get: (key) => {
+        const entry = cache.get(key);
+        return entry && entry.expiresAt > Date.now() ? entry.value : null;
+      },
+      put: (key, value, expirationInSeconds = 600) => {
+        cache.set(key, { value: String(value), expiresAt: Date.now() + expirationInSeconds * 1000 });
+      }
+    })
+  },
+  // Node runs the script on a single thread, so the lock never has to wait
+  LockService: {
+    getScriptLock: () => ({ waitLock: () => {}, tryLock: () => true, releaseLock: () => {} })
+  },
+  Utilities: {
+    Charset: { UTF_8: 'utf8' },
+    // Apps Script returns signed bytes (-128..127)
+    computeHmacSha256Signature: (value, key) => Array.from(new Int8Array(
+      createHmac('sha256', key).update(value, 'utf8').digest()
+    )),
+    getUuid: () => randomUUID(),
+    formatDate
+  },
+  Session: {
+    getScriptTimeZone: () => timeZone
+  },
+  ScriptApp: createScriptApp(triggers),
+  UrlFetchApp: createUrlFetchApp()
+});
+
+/**
+ * Load google-apps-script.js into a fresh vm context.
+ * Returns { doGet, doPost, runFunction, editCell, getHighlight, spreadsheets, properties, triggers, reset } where
+ * doGet/doPost take Apps Script event objects and return { status, contentType, body }.
+ * @param timeZone  what Session.getScriptTimeZone() returns (the project time zone)
+ */
+export const createAppsScriptEmulator = ({
+  scriptPath = DEFAULT_SCRIPT_PATH,
+  properties = {},
+  timeZone = 'Asia/Ho_Chi_Minh'
+} = {}) => {
+  const spreadsheets = new Map([[ACTIVE_SPREADSHEET_ID, createFakeSpreadsheet(ACTIVE_SPREADSHEET_ID)]]);
+  const cache = new Map();
+  const triggers = [];
+  const scriptProperties = { ...properties };
+
+  const context = vm.createContext(createServices({ spreadsheets, properties: scriptProperties, cache, triggers, timeZone }));
+  vm.runInContext(readFileSync(scriptPath, 'utf8'), context, { filename: path.basename(scriptPath) });
+
+  // An exception escaping doGet/doPost makes Apps Script answer with an HTML error page
+  const run = (handler, event) => {
+    if (typeof context[handler] !== 'function') {
+      return { status: 200, contentType: 'text/html', body: `<html><body>Script function not found: ${handler}</body></html>` };
+    }
+    try {
+      const output = context[handler](event);
+      return { status: 200, contentType: output.getMimeType(), body: output.getContent() };
+    } catch (error) {
+      console.error(`[Apps Script Emulator] ${handler} threw:`, error);
+      return { status: 200, contentType: 'text/html', body: `<html><body>Error: ${error.message}</body></html>` };
+    }
+  };
+
+  // Run any top-level function, like the editor's Run button or a time-driven trigger
+  const runFunction = (name, event) => {
+    if (typeof context[name] !== 'function') {
+      throw new Error(`Script function not found: ${name}`);
+    }
+    return context[name](event);
+  };
+
+  /**
+   * Change one cell like a user typing in the sheet, then run the installable onEdit triggers.
+   * column is a 1-based index or found by header (row 1). Returns the handlers that ran.
+   */
+  const editCell = ({ spreadsheetId = ACTIVE_SPREADSHEET_ID, sheet: sheetName, row, column, header, value, user = 'accountant@example.com' }) => {
+    const spreadsheet = spreadsheets.get(spreadsheetId);
+    const sheet = spreadsheet?.getSheetByName(sheetName);
+    if (!sheet) {
+      throw new Error(`Sheet not found: ${sheetName}`);
+    }
+    const columnIndex = column || (sheet.rows[0] || []).indexOf(header) + 1;
+    if (!Number.isInteger(row) || row < 1 || !Number.isInteger(columnIndex) || columnIndex < 1) {
+      throw new Error('row and column (or an existing header) are required');
+    }
+
+    const range = sheet.getRange(row, columnIndex);
+    const oldValue = range.getValue();
+    range.setValue(value);
+    const event = {
+      source: spreadsheet,
+      range,
+      value,
+      oldValue: oldValue === '' ? undefined : oldValue,
+      user: { getEmail: () => user },
+      authMode: 'FULL'
+    };
+
+    return triggers
+      .filter((trigger) => trigger.getEventType() === 'ON_EDIT')
+      .map((trigger) => {
+        runFunction(trigger.getHandlerFunction(), event);
+        return trigger.getHandlerFunction();
+      });
+  };
+
+  /**
+   * Background a cell gets from the sheet's conditional format rules - the first satisfied
+   * custom-formula rule covering it wins, as in Sheets - or null. A formula error counts as false.
+   */
+  const getHighlight = ({ spreadsheetId = ACTIVE_SPREADSHEET_ID, sheet: sheetName, row, column }) => {
+    const sheet = spreadsheets.get(spreadsheetId)?.getSheetByName(sheetName);
+    if (!sheet) {
+      throw new Error(`Sheet not found: ${sheetName}`);
+    }
+    const getCell = (r, c) => sheet.getRange(r, c).getValue();
+    const getColumn = (c) => Array.from({ length: sheet.getLastRow() }, (_, r) => getCell(r + 1, c));
+
+    const rule = sheet.getConditionalFormatRules().find((candidate) => {
+      const condition = candidate.getBooleanCondition();
+      const range = candidate.getRanges().find((entry) => row >= entry.getRow() && row < entry.getRow() + entry.getNumRows()
+        && column >= entry.getColumn() && column < entry.getColumn() + entry.getNumColumns());
+      if (!condition || condition.getCriteriaType() !== 'CUSTOM_FORMULA' || !range) {
+        return false;
+      }
+      try {
+        return evaluateFormula(condition.getCriteriaValues()[0], {
+          getCell,
+          getColumn,
+          origin: { row: range.getRow(), column: range.getColumn() },
+          at: { row, column }
+        }) === true;
+      } catch (error) {
+        return false;
+      }
+    });
+    return rule ? rule.getBackground() : null;
+  };
+
+  return {
+    doGet: (event) => run('doGet', event),
+    doPost: (event) => run('doPost', event),
+    runFunction,
+    editCell,
+    getHighlight,
+    spreadsheets,
+    properties: scriptProperties,
+    triggers,
+    reset: () => {
+      cache.clear();
+      spreadsheets.forEach((spreadsheet) => {
+        spreadsheet.sheets.forEach((sheet) => {
+          sheet.rows.length = 0;
+        });
+      });
+    }
+  };
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// Apps Script event object for a request
+const toEvent = (url, body, contentType) => {
+  const parameter = {};
+  const parameters = {};
+  url.searchParams.forEach((value, key) => {
+    if (!(key in parameter)) {
+      parameter[key] = value;
+    }
+    parameters[key] = [...(parameters[key] || []), value];
+  });
+  const event = {
+    queryString: url.search.slice(1),
+    parameter,
+    parameters,
+    contextPath: '',
+    contentLength: body === undefined ? -1 : Buffer.byteLength(body)
+  };
+  if (body !== undefined) {
+    event.postData = { contents: body, length: Buffer.byteLength(body), type: contentType || 'text/plain', name: 'postData' };
+  }
+  return event;
+};
+
+const isValidFault = (fault) => Boolean(fault)
+  && (FAULT_TYPES.includes(fault.type) || (Number.isInteger(fault.type) && fault.type >= 400 && fault.type <= 599))
+  && (fault.count === undefined || (Number.isInteger(fault.count) && fault.count > 0));
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Serve an emulator over HTTP. Every path outside /__emulator/ is treated as the web app URL.
+ * @param faults initial fault queue, e.g. [{ type: 503, count: 2 }]
+ * Returns the http.Server (already listening) with an extra `emulator` property.
+ */
+export const startAppsScriptEmulator = ({ port = 3003, faults = [], ...options } = {}) => {
+  const emulator = createAppsScriptEmulator(options);
+  let faultQueue = faults.filter(isValidFault).map((fault) => ({ ...fault }));
+
+  // Take the next queued fault, if any
+  const nextFault = () => {
+    const fault = faultQueue[0];
+    if (!fault) {
+      return null;
+    }
+    if (fault.count !== undefined) {
+      fault.count -= 1;
+      if (fault.count <= 0) {
+        faultQueue.shift();
+      }
+    }
+    return fault;
+  };
+
+  const handleControl = async (req, res, url) => {
+    const action = url.pathname.slice('/__emulator/'.length);
+
+    if (action === 'state' && req.method === 'GET') {
+      const spreadsheets = {};
+      emulator.spreadsheets.forEach((spreadsheet, id) => {
+        spreadsheets[id] = Object.fromEntries(spreadsheet.sheets.map((sheet) => [sheet.getName(), sheet.rows]));
+      });
+      return sendJson(res, 200, {
+        success: true,
+        spreadsheets,
+        properties: emulator.properties,
+        triggers: emulator.triggers.map((trigger) => trigger.getHandlerFunction()),
+        faults: faultQueue
+      });
+    }
+
+    if (action === 'fault' && req.method === 'POST') {
+      let requested;
+      try {
+        requested = JSON.parse(await readBody(req));
+      } catch (error) {
+        return sendJson(res, 400, { success: false, message: 'Body must be JSON' });
+      }
+      requested = Array.isArray(requested) ? requested : [requested];
+      const invalid = requested.find((fault) => !isValidFault(fault));
+      if (invalid) {
+        return sendJson(res, 400, {
+          success: false,
+          message: `Unknown fault type: ${JSON.stringify(invalid?.type)}. Use an HTTP status (400-599) or one of ${FAULT_TYPES.join(', ')}`
+        });
+      }
+      faultQueue.push(...requested.map((fault) => ({ ...fault })));
+      return sendJson(res, 200, { success: true, faults: faultQueue });
+    }
+
+    if (action === 'fault' && req.method === 'DELETE') {
+      faultQueue = [];
+      return sendJson(res, 200, { success: true, faults: faultQueue });
+    }
+
+    if (action === 'run' && req.method === 'POST') {
+      let name;
+      try {
+        ({ function: name } = JSON.parse(await readBody(req)));
+      } catch (error) {
+        return sendJson(res, 400, { success: false, message: 'Body must be JSON: { "function": "<name>" }' });
+      }
+      try {
+        const result = emulator.runFunction(name);
+        return sendJson(res, 200, { success: true, result: result === undefined ? null : result });
+      } catch (error) {
+        return sendJson(res, 500, { success: false, message: error.message });
+      }
+    }
+
+    if (action === 'edit' && req.method === 'POST') {
+      let edit;
+      try {
+        edit = JSON.parse(await readBody(req));
+      } catch (error) {
+        return sendJson(res, 400, { success: false, message: 'Body must be JSON: { sheet, row, column | header, value }' });
+      }
+      try {
+        const handlers = emulator.editCell(edit);
+        return sendJson(res, 200, { success: true, triggers: handlers });
+      } catch (error) {
+        return sendJson(res, 400, { success: false, message: error.message });
+      }
+    }
+
+    if (action === 'reset' && req.method === 'POST') {
+      emulator.reset();
+      return sendJson(res, 200, { success: true });
+    }
+
+    return sendJson(res, 404, { success: false, message: 'Unknown emulator endpoint' });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname.startsWith('/__emulator/')) {
+        return await handleControl(req, res, url);
+      }
+
+      const body = req.method === 'POST' ? await readBody(req) : undefined;
+      const fault = nextFault();
+
+      if (fault) {
+        console.log(`[Apps Script Emulator] Injecting fault: ${fault.type} (${req.method} ${url.pathname})`);
+        if (fault.type === 'timeout') {
+          setTimeout(() => req.socket.destroy(), fault.delayMs || 60000);
+          return;
+        }
+        if (fault.type === 'malformed') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          return res.end('<!DOCTYPE html><html><head><title>Google Drive</title></head><body>Sorry, unable to open the file at this time.</body></html>');
+        }
+        if (fault.type === 'script-error') {
+          return sendJson(res, 200, { success: false, message: 'Lỗi: Emulated script error' });
+        }
+        res.writeHead(fault.type, { 'Content-Type': 'text/html' });
+        return res.end(`<html><body>Emulated HTTP ${fault.type}</body></html>`);
+      }
+
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/html' });
+        return res.end('<html><body>Method not allowed</body></html>');
+      }
+
+      const event = toEvent(url, body, req.headers['content-type']);
+      const result = req.method === 'POST' ? emulator.doPost(event) : emulator.doGet(event);
+      res.writeHead(result.status, { 'Content-Type': result.contentType });
+      res.end(result.body);
+    } catch (error) {
+      console.error('[Apps Script Emulator] Request failed:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { success: false, message: error.message });
+      }
+    }
+  });
+
+  server.emulator = emulator;
+  server.listen(port);
+  return server;
+};
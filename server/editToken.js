@@ -0,0 +1,36 @@
+/**
+ * Edit tokens - proof that a customer owns a submission.
+ *
+ * POST /api/tax-info returns a random editToken once. Only its SHA-256 hash is stored on the
+ * submission (editTokenHash), so a leaked store or backup cannot be used to edit records.
+ * The customer sends the token back as "X-Edit-Token: <token>" to read or correct that submission.
+ */
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+export const hashEditToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// { token, hash } - the token goes to the customer, the hash into storage
+export const createEditToken = () => {
+  const token = randomBytes(32).toString('base64url');
+  return { token, hash: hashEditToken(token) };
+};
+
+export const getRequestEditToken = (req) => req.get('X-Edit-Token') || '';
+
+export const matchesEditToken = (submission, token) => {
+  if (!token || !submission?.editTokenHash) {
+    return false;
+  }
+  const expected = Buffer.from(submission.editTokenHash, 'hex');
+  const provided = Buffer.from(hashEditToken(token), 'hex');
+  return expected.length === provided.length && timingSafeEqual(expected, provided);
+};
+
+// The hash never leaves the server
+export const withoutEditToken = (submission) => {
+  if (!submission) {
+    return submission;
+  }
+  const { editTokenHash, ...rest } = submission;
+  return rest;
+};
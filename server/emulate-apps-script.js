@@ -0,0 +1,62 @@
+/**
+ * Chạy Apps Script emulator để test Google Sheets offline (không cần deploy)
+ * Chạy: npm run emulate-sheets
+ *
+ * Sau đó đặt trong server/.env:
+ *   GOOGLE_APPS_SCRIPT_URL=http://localhost:3003/exec
+ *
+ * Biến môi trường (tùy chọn):
+ *   APPS_SCRIPT_EMULATOR_PORT        cổng HTTP (mặc định: 3003)
+ *   APPS_SCRIPT_EMULATOR_PROPERTIES  Script Properties dạng JSON, ví dụ {"SHEET_NAME":"Staging"}.
+ *                                    SHARED_SECRET mặc định lấy từ GOOGLE_APPS_SCRIPT_SECRET
+ *   APPS_SCRIPT_EMULATOR_FAULT       lỗi giả lập: 401, 403, 500, 503, timeout, malformed, script-error
+ *   APPS_SCRIPT_EMULATOR_FAULT_COUNT số request bị lỗi (bỏ trống = mọi request)
+ *   APPS_SCRIPT_EMULATOR_TIMEZONE    múi giờ của project (mặc định: Asia/Ho_Chi_Minh)
+ *
+ * Lỗi cũng có thể bật/tắt khi đang chạy, ví dụ 2 request tiếp theo trả về 503:
+ *   curl -X POST localhost:3003/__emulator/fault -H 'Content-Type: application/json' -d '{"type":503,"count":2}'
+ * Xem dữ liệu trong sheet: curl localhost:3003/__emulator/state
+ * Chạy hàm của script (như trigger): curl -X POST localhost:3003/__emulator/run -d '{"function":"archiveOldMonths"}'
+ */
+
+import dotenv from 'dotenv';
+import { startAppsScriptEmulator } from './appsScriptEmulator.js';
+dotenv.config();
+
+const port = parseInt(process.env.APPS_SCRIPT_EMULATOR_PORT, 10) || 3003;
+
+let properties = {};
+try {
+  properties = JSON.parse(process.env.APPS_SCRIPT_EMULATOR_PROPERTIES || '{}');
+} catch (error) {
+  console.error('❌ APPS_SCRIPT_EMULATOR_PROPERTIES không phải JSON hợp lệ:', error.message);
+  process.exit(1);
+}
+if (process.env.GOOGLE_APPS_SCRIPT_SECRET && !properties.SHARED_SECRET) {
+  properties.SHARED_SECRET = process.env.GOOGLE_APPS_SCRIPT_SECRET;
+}
+
+const faults = [];
+if (process.env.APPS_SCRIPT_EMULATOR_FAULT) {
+  const type = process.env.APPS_SCRIPT_EMULATOR_FAULT;
+  const count = parseInt(process.env.APPS_SCRIPT_EMULATOR_FAULT_COUNT, 10);
+  faults.push({
+    type: /^\d+$/.test(type) ? parseInt(type, 10) : type,
+    ...(count > 0 ? { count } : {})
+  });
+}
+
+const server = startAppsScriptEmulator({
+  port,
+  properties,
+  faults,
+  ...(process.env.APPS_SCRIPT_EMULATOR_TIMEZONE ? { timeZone: process.env.APPS_SCRIPT_EMULATOR_TIMEZONE } : {})
+});
+
+server.on('listening', () => {
+  console.log(`🧪 Apps Script emulator running on http://localhost:${port}/exec`);
+  console.log(`   SHARED_SECRET: ${properties.SHARED_SECRET ? 'set' : 'NOT SET - signed requests will be rejected'}`);
+  if (faults.length > 0) {
+    console.log(`   Fault: ${faults[0].type}${faults[0].count ? ` (${faults[0].count} request(s))` : ''}`);
+  }
+});
@@ -0,0 +1,28 @@
+/**
+ * Spreadsheet formula injection protection.
+ *
+ * Sheets and Excel treat cell text that starts with =, +, - or @ as a formula. A leading tab or
+ * CR can hide such a value from simple checks. Form input such as =HYPERLINK("http://...", "Bấm vào đây")
+ * or =IMPORTXML(...) would otherwise run inside the accountants' sheet. Risky values get a leading
+ * apostrophe, which marks the cell as plain text; Sheets does not display it or return it from getValues.
+ * Plain numbers such as +84 28 3822 1234 or -5 cannot run anything, so they are left unchanged.
+ *
+ * Apply this to every value written to a spreadsheet or a CSV export. google-apps-script.js uses the same rule in doPost.
+ */
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Phone numbers and signed numbers
+const NUMERIC_VALUE = /^[+-]?\d[\d ().-]*$/;
+
+export const neutralizeFormula = (value) => {
+  if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value.charAt(0)) || NUMERIC_VALUE.test(value)) {
+    return value;
+  }
+  return `'${value}`;
+};
+
+// Neutralize every field of a record
+export const neutralizeFormulas = (record) => Object.fromEntries(
+  Object.entries(record).map(([field, value]) => [field, neutralizeFormula(value)])
+);
@@ -0,0 +1,383 @@
+/**
+ * Google Sheets client - sends submissions to the Apps Script web app (google-apps-script.js).
+ *
+ * appendTaxInfoToSheet makes a single attempt. Retries with backoff are handled by the
+ * sync outbox (server/syncOutbox.js), so the result says whether a retry makes sense.
+ * appendTaxInfoBatchToSheet sends several submissions in one request (see server/sheetBatcher.js).
+ * querySheetRows reads rows back by tax code / invoice number, listSheetRows reads them all (doGet).
+ * assignSheetRowIds writes submission ids into rows that have none (sheet history import).
+ * Payloads are signed with GOOGLE_APPS_SCRIPT_SECRET (HMAC-SHA256), see signPayload().
+ * Callbacks from the script (status changes) are signed the same way, see verifySignedPayload().
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { neutralizeFormulas } from './formulaInjection.js';
+
+export const getAppsScriptUrl = () => process.env.GOOGLE_APPS_SCRIPT_URL || '';
+const getAppsScriptSecret = () => process.env.GOOGLE_APPS_SCRIPT_SECRET || '';
+// Reading rows back (duplicate checks, contact prefill) needs the query-capable doGet
+export const isSheetsReadbackEnabled = () => Boolean(getAppsScriptUrl()) && process.env.SHEETS_READBACK !== 'false';
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Read-back queries run while a user waits, so they give up sooner
+const QUERY_TIMEOUT_MS = 10000;
+
+/**
+ * Wrap a payload in the signed envelope doPost expects:
+ *   { payload: '<json>', timestamp: <unix seconds>, nonce, signature: hex HMAC-SHA256 of "timestamp.nonce.payload" }
+ * Apps Script web apps cannot read request headers, so the signature travels in the body.
+ * Without GOOGLE_APPS_SCRIPT_SECRET the payload is sent unsigned (and rejected by a script that requires signatures).
+ */
+export const signPayload = (payload, secret = getAppsScriptSecret()) => {
+  if (!secret) {
+    return payload;
+  }
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = randomUUID();
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`, 'utf8').digest('hex');
+  return { payload: body, timestamp, nonce, signature };
+};
+
+// Same window as SIGNATURE_MAX_AGE_SECONDS in google-apps-script.js
+export const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+/**
+ * Check an envelope signed by the Apps Script with the shared secret (the reverse of signPayload).
+ * Returns { ok: true, data, nonce } or { ok: false, code, message } with a SIGNATURE_ERRORS code.
+ * Replays are not detected here - callers must remember nonces for SIGNATURE_MAX_AGE_SECONDS.
+ */
+export const verifySignedPayload = (envelope, secret = getAppsScriptSecret()) => {
+  if (!secret) {
+    return { ok: false, code: 'SECRET_NOT_CONFIGURED', message: 'Chưa cấu hình GOOGLE_APPS_SCRIPT_SECRET' };
+  }
+
+  const { payload, timestamp, nonce, signature } = envelope || {};
+  if (typeof payload !== 'string' || !timestamp || !nonce || !signature) {
+    return { ok: false, code: 'UNSIGNED', message: 'Request không có chữ ký' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(Number(timestamp)) || Math.abs(now - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+    return { ok: false, code: 'EXPIRED', message: 'Chữ ký đã hết hạn' };
+  }
+
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${nonce}.${payload}`, 'utf8').digest();
+  const provided = Buffer.from(String(signature), 'hex');
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return { ok: false, code: 'BAD_SIGNATURE', message: 'Chữ ký không hợp lệ' };
+  }
+
+  try {
+    return { ok: true, data: JSON.parse(payload), nonce: String(nonce) };
+  } catch (error) {
+    return { ok: false, code: 'BAD_SIGNATURE', message: 'Payload không phải JSON hợp lệ' };
+  }
+};
+
+// Rejections from verifySignedRequest() in google-apps-script.js. Apps Script always answers
+// HTTP 200, so these arrive as { success: false, code } - none of them is fixed by retrying.
+const SIGNATURE_ERRORS = {
+  UNSIGNED: {
+    message: 'Apps Script rejected an unsigned request. Set GOOGLE_APPS_SCRIPT_SECRET',
+    tip: 'Set GOOGLE_APPS_SCRIPT_SECRET in server/.env to the SHARED_SECRET Script Property'
+  },
+  BAD_SIGNATURE: {
+    message: 'Apps Script rejected the request signature. Check GOOGLE_APPS_SCRIPT_SECRET',
+    tip: 'GOOGLE_APPS_SCRIPT_SECRET must be identical to SHARED_SECRET in Script Properties'
+  },
+  EXPIRED: {
+    message: 'Apps Script rejected an expired request. Check the server clock',
+    tip: 'Signed requests are valid for 5 minutes - make sure the server clock is synchronized (NTP)'
+  },
+  REPLAYED: {
+    message: 'Apps Script rejected a replayed request',
+    tip: 'The same signed request was received twice - check for proxies that resend requests'
+  },
+  SECRET_NOT_CONFIGURED: {
+    message: 'Apps Script has no SHARED_SECRET configured',
+    tip: 'Add SHARED_SECRET in Apps Script > Project Settings > Script Properties'
+  }
+};
+
+// Fields sent to the Apps Script - it writes the ones mapped in its COLUMNS property. Internal
+// fields (editTokenHash, sync state...) never leave the server; add a field here to send it.
+// id lets the Apps Script update the existing row instead of appending a duplicate.
+const SHEET_FIELDS = ['id', 'taxCode', 'companyName', 'address', 'email', 'phone', 'invoiceNumber', 'status', 'createdAt', 'updatedAt'];
+
+// Values that Sheets would run as formulas are neutralized (see server/formulaInjection.js)
+const toSheetPayload = (taxInfo) => neutralizeFormulas(Object.fromEntries(
+  SHEET_FIELDS.map((field) => [field, taxInfo[field] ?? ''])
+));
+
+const NOT_CONFIGURED = { success: false, message: 'Google Sheets not configured', retryable: false };
+
+/**
+ * Send a signed body to the Apps Script web app - POST for doPost, or GET for doGet, where
+ * the signed envelope travels as query parameters.
+ * Returns { success: true, result } with the parsed JSON response when the script accepted
+ * the request, otherwise { success: false, message, retryable }.
+ */
+const callAppsScript = async (body, { method = 'POST', timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+  const GOOGLE_APPS_SCRIPT_URL = getAppsScriptUrl();
+
+  try {
+    console.log(`[Google Sheets] Sending ${method} request to Apps Script...`);
+    console.log(`[Google Sheets] URL: ${GOOGLE_APPS_SCRIPT_URL}`);
+    
+    // Create AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+      let url = GOOGLE_APPS_SCRIPT_URL;
+      const options = {
+        method,
+        redirect: 'follow', // Follow redirects
+        signal: controller.signal
+      };
+      if (method === 'GET') {
+        const signed = signPayload(body);
+        const query = new URL(GOOGLE_APPS_SCRIPT_URL);
+        Object.entries(signed).forEach(([key, value]) => query.searchParams.set(key, String(value)));
+        url = query.toString();
+      } else {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(signPayload(body));
+      }
+
+      // Send data to Apps Script web app
+      // Note: Google Apps Script URLs may redirect, so we need to follow redirects
+      const response = await fetch(url, options);
+
+      clearTimeout(timeoutId);
+
+      const responseText = await response.text();
+      console.log(`[Google Sheets] Response status: ${response.status} ${response.statusText}`);
+      console.log(`[Google Sheets] Response body: ${responseText.substring(0, 300)}`);
+      
+      if (response.ok) {
+        let result;
+        try {
+          result = JSON.parse(responseText);
+        } catch (parseError) {
+          console.error('❌ [Google Sheets] Failed to parse JSON response:', parseError.message);
+          console.error(`   Response was: ${responseText.substring(0, 200)}`);
+          return { success: false, message: 'Failed to parse response from Google Sheets', retryable: true };
+        }
+
+        if (result.success) {
+          return { success: true, result };
+        }
+
+        const signatureError = SIGNATURE_ERRORS[result.code];
+        if (signatureError) {
+          console.error(`❌ [Google Sheets] ${signatureError.message} (${result.code})`);
+          console.error(`   💡 Tip: ${signatureError.tip}`);
+          return { success: false, message: signatureError.message, retryable: false };
+        }
+
+        console.error('❌ [Google Sheets] Apps Script returned error:', result.message);
+        return { success: false, message: result.message || 'Apps Script returned error', retryable: true };
+      }
+
+      console.error(`❌ [Google Sheets] Failed to call Apps Script: ${response.status} ${response.statusText}`);
+      if (responseText) {
+        console.error(`   Error details: ${responseText.substring(0, 300)}`);
+      }
+      
+      // Provide helpful error messages
+      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+      if (response.status === 401) {
+        errorMessage = 'Apps Script authorization error. Check if "Who has access" is set to "Anyone"';
+        console.error('   💡 Tip: Check if Apps Script is authorized and "Who has access" is set to "Anyone"');
+      } else if (response.status === 403) {
+        errorMessage = 'Permission denied. Check if the Google Sheet allows editing';
+        console.error('   💡 Tip: Check if the Google Sheet allows editing and Apps Script has proper permissions');
+      } else if (response.status === 404) {
+        errorMessage = 'Apps Script URL not found. Check GOOGLE_APPS_SCRIPT_URL';
+        console.error('   💡 Tip: Check if GOOGLE_APPS_SCRIPT_URL is correct');
+      }
+      
+      // Retry on 5xx errors (server errors) and 429, but not on other 4xx errors (client errors)
+      const retryable = response.status >= 500 || response.status === 429;
+      return { success: false, message: errorMessage, retryable };
+    } catch (fetchError) {
+      clearTimeout(timeoutId);
+      
+      if (fetchError.name === 'AbortError') {
+        console.error(`❌ [Google Sheets] Request timeout after ${Math.round(timeoutMs / 1000)} seconds`);
+        return { success: false, message: 'Request timeout. Please check your connection and try again.', retryable: true };
+      }
+      throw fetchError;
+    }
+  } catch (error) {
+    console.error('❌ [Google Sheets] Error appending tax info:', error.message);
+    if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
+      console.error('   💡 Tip: Check your internet connection and Apps Script URL');
+      return { success: false, message: 'Network error. Please check your connection.', retryable: true };
+    }
+    return { success: false, message: error.message || 'Unknown error occurred', retryable: true };
+  }
+};
+
+// Per-record outcome in the shape the sync outbox expects
+const toRecordResult = (result) => {
+  if (!result.success) {
+    return { success: false, message: result.message || 'Apps Script returned error', retryable: true };
+  }
+  // Older script versions do not report the action - they always append
+  const action = result.action || 'inserted';
+  return {
+    success: true,
+    message: action === 'updated' ? 'Row updated in Google Sheets' : 'Data saved to Google Sheets',
+    action,
+    row: result.row || null
+  };
+};
+
+/**
+ * Append tax info to Google Sheets via Apps Script (if configured).
+ * The script upserts by submission id, so calling this again for the same submission updates its row.
+ * Returns { success, message, action: 'inserted' | 'updated', row } or { success: false, message, retryable }.
+ */
+export const appendTaxInfoToSheet = async (taxInfo) => {
+  console.log('[Google Sheets] Function called with taxInfo:', {
+    id: taxInfo.id,
+    taxCode: taxInfo.taxCode,
+    companyName: taxInfo.companyName,
+    invoiceNumber: taxInfo.invoiceNumber
+  });
+
+  if (!getAppsScriptUrl()) {
+    // Google Sheets not configured – nothing to do
+    console.log('ℹ️ [Google Sheets] Not configured (GOOGLE_APPS_SCRIPT_URL not set)');
+    console.log('ℹ️ [Google Sheets] Check server/.env file for GOOGLE_APPS_SCRIPT_URL');
+    return NOT_CONFIGURED;
+  }
+
+  const payload = toSheetPayload(taxInfo);
+  console.log('[Google Sheets] Data to send:', payload);
+
+  const response = await callAppsScript(payload);
+  if (!response.success) {
+    return response;
+  }
+
+  const result = toRecordResult(response.result);
+  console.log(`✅ [Google Sheets] Row ${result.action} successfully${result.row ? ` (row ${result.row})` : ''}`);
+  console.log(`   Tax Code: ${taxInfo.taxCode}, Company: ${taxInfo.companyName}`);
+  return result;
+};
+
+/**
+ * Append several submissions in one request ({ records: [...] }); the script writes new rows
+ * with a single setValues call. Requires the batch-capable google-apps-script.js.
+ * Returns { success: true, results } with one appendTaxInfoToSheet-style result per record,
+ * in input order, or { success: false, message, retryable } when the whole request failed.
+ */
+export const appendTaxInfoBatchToSheet = async (taxInfoList) => {
+  console.log(`[Google Sheets] Batch called with ${taxInfoList.length} record(s):`, taxInfoList.map((taxInfo) => taxInfo.id));
+
+  if (!getAppsScriptUrl()) {
+    console.log('ℹ️ [Google Sheets] Not configured (GOOGLE_APPS_SCRIPT_URL not set)');
+    return NOT_CONFIGURED;
+  }
+
+  const response = await callAppsScript({ records: taxInfoList.map(toSheetPayload) });
+  if (!response.success) {
+    return response;
+  }
+
+  const { results } = response.result;
+  if (!Array.isArray(results) || results.length !== taxInfoList.length) {
+    // An older script treats { records } as a single (empty) record
+    console.error('❌ [Google Sheets] Apps Script did not return per-record results - update google-apps-script.js or set SHEETS_BATCH_SIZE=1');
+    return { success: false, message: 'Apps Script does not support batch requests', retryable: false };
+  }
+
+  const mapped = results.map(toRecordResult);
+  const saved = mapped.filter((result) => result.success).length;
+  console.log(`✅ [Google Sheets] Batch written: ${saved}/${mapped.length} record(s)`);
+  return { success: true, results: mapped };
+};
+
+/**
+ * Read rows back from the sheet (doGet query), newest first.
+ * @param query { taxCode, invoiceNumber, limit } - at least one of taxCode / invoiceNumber
+ * Returns { success: true, rows: [{ row, id, createdAt, taxCode, ... }] } or { success: false, message }.
+ * Older script versions only answer a liveness message, which is reported as unsupported.
+ */
+export const querySheetRows = async (query) => {
+  if (!getAppsScriptUrl()) {
+    return NOT_CONFIGURED;
+  }
+
+  const response = await callAppsScript(query, { method: 'GET', timeoutMs: QUERY_TIMEOUT_MS });
+  if (!response.success) {
+    return response;
+  }
+  if (!Array.isArray(response.result.rows)) {
+    console.error('❌ [Google Sheets] Apps Script does not support row queries - update google-apps-script.js');
+    return { success: false, message: 'Apps Script does not support row queries', retryable: false };
+  }
+
+  console.log(`[Google Sheets] Query matched ${response.result.rows.length} row(s)`);
+  return { success: true, rows: response.result.rows };
+};
+
+/**
+ * Read every row of the sheet in sheet order, one doGet page ({ all: true, offset, limit }) at a time.
+ * Returns { success: true, rows } or { success: false, message }.
+ */
+export const listSheetRows = async ({ pageSize = 500 } = {}) => {
+  if (!getAppsScriptUrl()) {
+    return NOT_CONFIGURED;
+  }
+
+  const rows = [];
+  let offset = 0;
+  for (;;) {
+    const response = await callAppsScript({ all: true, offset, limit: pageSize }, { method: 'GET' });
+    if (!response.success) {
+      return response;
+    }
+    const { result } = response;
+    if (!Array.isArray(result.rows) || typeof result.total !== 'number') {
+      console.error('❌ [Google Sheets] Apps Script does not support listing rows - update google-apps-script.js');
+      return { success: false, message: 'Apps Script does not support listing rows', retryable: false };
+    }
+    rows.push(...result.rows);
+    offset += pageSize;
+    if (offset >= result.total) {
+      break;
+    }
+  }
+
+  console.log(`[Google Sheets] Read ${rows.length} row(s) from the sheet`);
+  return { success: true, rows };
+};
+
+/**
+ * Write submission ids into sheet rows that have none ({ assignIds: [{ sheet, row, id, taxCode }] }).
+ * The script only fills an empty ID cell whose row still has that tax code.
+ * Returns { success: true, results: [{ sheet, row, id, success, message }] } or { success: false, message }.
+ */
+export const assignSheetRowIds = async (assignments) => {
+  if (!getAppsScriptUrl()) {
+    return NOT_CONFIGURED;
+  }
+
+  const response = await callAppsScript({ assignIds: assignments });
+  if (!response.success) {
+    return response;
+  }
+  const { results } = response.result;
+  if (!Array.isArray(results) || results.length !== assignments.length) {
+    console.error('❌ [Google Sheets] Apps Script does not support assigning ids - update google-apps-script.js');
+    return { success: false, message: 'Apps Script does not support assigning ids', retryable: false };
+  }
+
+  console.log(`[Google Sheets] Assigned ids to ${results.filter((result) => result.success).length}/${results.length} row(s)`);
+  return { success: true, results };
+};
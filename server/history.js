@@ -0,0 +1,62 @@
+/**
+ * Revision history (audit trail) helpers for tax info submissions.
+ * Entries are append-only and stored through the storage backend (appendHistory / getHistory).
+ */
+import { randomUUID } from 'crypto';
+import { isAdminRequest } from './adminAuth.js';
+
+export const ACTOR_TYPES = ['customer', 'admin', 'system'];
+
+// Bookkeeping fields that change on every write and carry no meaning in a diff,
+// and the edit token hash, which must not end up in the audit trail
+const IGNORED_FIELDS = ['id', 'updatedAt', 'editTokenHash'];
+
+// Field-level diff between two versions of a submission ({ field, from, to } per changed field)
+export const diffFields = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({
+      field,
+      from: before?.[field] ?? null,
+      to: after?.[field] ?? null
+    }));
+};
+
+// Client IP, honouring the first hop of X-Forwarded-For (Vercel and most proxies set it)
+export const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || null;
+};
+
+/**
+ * Who made the request, decided by the server: "admin" when the request carries ADMIN_API_KEY,
+ * otherwise "customer". Admins may add their name with the X-Actor-Name header, since they
+ * share one key; "system" is reserved for server jobs.
+ */
+export const getRequestActor = (req) => {
+  if (!isAdminRequest(req)) {
+    return { type: 'customer', name: null };
+  }
+  const name = req.headers['x-actor-name'] ? String(req.headers['x-actor-name']).substring(0, 100) : null;
+
+  return { type: 'admin', name };
+};
+
+// Actor for background jobs, e.g. systemActor('sheets-sync')
+export const systemActor = (name) => ({ type: 'system', name });
+
+export const buildHistoryEntry = ({ submissionId, action, before = null, after = null, actor, ip = null }) => ({
+  id: randomUUID(),
+  submissionId,
+  action,
+  changes: diffFields(before, after),
+  actor,
+  ip,
+  timestamp: new Date().toISOString()
+});
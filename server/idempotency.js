@@ -0,0 +1,146 @@
+/**
+ * Idempotency-Key support for POST routes.
+ *
+ * The first request with a given key is processed normally and its JSON response is
+ * stored. Repeats within the window get the stored response back (Idempotent-Replayed: true)
+ * instead of running storage and the Google Sheets append again.
+ *
+ * Window: IDEMPOTENCY_TTL_MINUTES (default: 1440 = 24 hours)
+ *
+ * Response fields listed in secretFields (credentials such as the edit token) are not stored;
+ * onReplay(response) can put fresh ones back into the replayed body.
+ *
+ * While the first request runs, its key is claimed for a short lease (PENDING_LEASE_MS) that is
+ * renewed until the response is sent, so a slow request keeps its claim however long it takes.
+ * If the process crashes before responding, renewals stop and a retry can take the key over once
+ * the lease expires instead of getting 409 for the whole window.
+ */
+import { createHash } from 'crypto';
+
+const MAX_KEY_LENGTH = 255;
+const PENDING_LEASE_MS = 60 * 1000;
+
+const getDefaultTtlMs = () => (parseInt(process.env.IDEMPOTENCY_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000;
+
+// Client timestamps change on every retry, so they are left out of the request fingerprint
+const fingerprintBody = (body = {}) => {
+  const { createdAt, updatedAt, ...rest } = body || {};
+  const canonical = JSON.stringify(Object.keys(rest).sort().map((key) => [key, rest[key]]));
+  return createHash('sha256').update(canonical).digest('hex');
+};
+
+// Stored copy of a response body without its secret fields
+const redactBody = (body, secretFields) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || secretFields.length === 0) {
+    return body;
+  }
+  const redacted = { ...body };
+  secretFields.forEach((field) => delete redacted[field]);
+  return redacted;
+};
+
+export const createIdempotencyMiddleware = ({
+  storage,
+  ttlMs = getDefaultTtlMs(),
+  leaseMs = PENDING_LEASE_MS,
+  secretFields = [],
+  onReplay = async (response) => response.body
+}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key không được dài quá ${MAX_KEY_LENGTH} ký tự`
+    });
+  }
+
+  const now = Date.now();
+  const record = {
+    key: `${req.method} ${req.baseUrl}${req.path} ${key}`,
+    fingerprint: fingerprintBody(req.body),
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    claimedAt: new Date(now).toISOString(),
+    // Storage drops expired records, so an abandoned claim frees the key after the lease
+    expiresAt: new Date(now + Math.min(leaseMs, ttlMs)).toISOString()
+  };
+
+  let existing;
+  try {
+    existing = await storage.claimIdempotencyKey(record);
+  } catch (error) {
+    // Without a working store we cannot deduplicate - process the request normally
+    console.error(`[Idempotency] Failed to claim key, processing without it:`, error.message);
+    return next();
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== record.fingerprint) {
+      return res.status(422).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'Idempotency-Key đã được dùng cho một yêu cầu khác'
+      });
+    }
+
+    if (existing.status === 'pending') {
+      console.log(`[Idempotency] Request with key ${key} is still being processed`);
+      res.setHeader('Retry-After', '5');
+      return res.status(409).json({
+        success: false,
+        code: 'IDEMPOTENCY_IN_PROGRESS',
+        message: 'Yêu cầu trước đó vẫn đang được xử lý. Vui lòng thử lại sau giây lát.'
+      });
+    }
+
+    console.log(`[Idempotency] Replaying stored response for key ${key}`);
+    let body = existing.response.body;
+    try {
+      body = await onReplay(existing.response);
+    } catch (error) {
+      // The stored response is still correct, it just lacks the secret fields
+      console.error(`[Idempotency] Failed to prepare replay for key ${key}:`, error.message);
+    }
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(existing.response.statusCode).json(body);
+  }
+
+  // Renew the lease at half its length. Renewals go through the same storage as the final save,
+  // in call order, so none can land after it once stopped
+  const renewal = setInterval(() => {
+    storage.saveIdempotencyKey({ ...record, expiresAt: new Date(Date.now() + leaseMs).toISOString() })
+      .catch((error) => {
+        console.error(`[Idempotency] Failed to renew lease for key ${key}:`, error.message);
+      });
+  }, Math.max(Math.floor(leaseMs / 2), 1));
+  renewal.unref();
+  // Responses not sent through res.json leave the key to expire with its lease
+  res.once('finish', () => clearInterval(renewal));
+
+  // Store the response once the route sends it. Server errors release the key so a retry can run again.
+  const originalJson = res.json;
+  res.json = function(body) {
+    clearInterval(renewal);
+    const statusCode = res.statusCode;
+    const finished = statusCode >= 500
+      ? storage.deleteIdempotencyKey(record.key)
+      : storage.saveIdempotencyKey({
+        ...record,
+        status: 'completed',
+        expiresAt: new Date(now + ttlMs).toISOString(),
+        response: { statusCode, body: redactBody(body, secretFields) }
+      });
+
+    finished.catch((error) => {
+      console.error(`[Idempotency] Failed to store response for key ${key}:`, error.message);
+    });
+
+    return originalJson.call(this, body);
+  };
+
+  next();
+};
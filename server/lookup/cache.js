@@ -0,0 +1,155 @@
+/**
+ * Cache in front of the company lookup chain.
+ *
+ * The same corporate customers come back every day, so each tax code is looked up once and then
+ * answered from:
+ *   1. an in-memory LRU (per server instance)
+ *   2. the storage backend (getLookupCache / saveLookupCache), which survives restarts and is
+ *      shared by serverless instances using the same store
+ * Companies found are kept for TAX_LOOKUP_CACHE_TTL_MINUTES, "not found" answers only for
+ * TAX_LOOKUP_CACHE_MISS_TTL_MINUTES, so a newly registered company shows up soon. Failures
+ * (providers down, timeouts), "not found" while some provider failed, sample (mock) data and
+ * invalid tax codes are never cached.
+ *
+ * Configuration:
+ *   TAX_LOOKUP_CACHE_TTL_MINUTES       companies found (default: 10080 = 7 days, 0 disables the cache)
+ *   TAX_LOOKUP_CACHE_MISS_TTL_MINUTES  not found (default: 60, 0 does not cache them)
+ *   TAX_LOOKUP_CACHE_SIZE              entries kept in memory (default: 500)
+ *   TAX_LOOKUP_CACHE_PERSIST           false keeps the cache in memory only (default: true)
+ */
+
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const getLookupCacheConfig = () => ({
+  hitTtlMs: parseNonNegativeInt(process.env.TAX_LOOKUP_CACHE_TTL_MINUTES, 7 * 24 * 60) * 60 * 1000,
+  missTtlMs: parseNonNegativeInt(process.env.TAX_LOOKUP_CACHE_MISS_TTL_MINUTES, 60) * 60 * 1000,
+  maxEntries: parseNonNegativeInt(process.env.TAX_LOOKUP_CACHE_SIZE, 500),
+  persist: process.env.TAX_LOOKUP_CACHE_PERSIST !== 'false'
+});
+
+// Map-based LRU: reading an entry moves it to the end, the first entry is the least recently used
+const createLru = (maxEntries) => {
+  const entries = new Map();
+  return {
+    get: (key) => {
+      const value = entries.get(key);
+      if (value !== undefined) {
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: (key) => entries.delete(key)
+  };
+};
+
+const isFresh = (entry, now = Date.now()) => Boolean(entry) && Date.parse(entry.expiresAt) > now;
+
+// Cache metadata returned with every lookup
+const describeEntry = (entry, hit) => ({
+  hit,
+  cachedAt: entry?.cachedAt || null,
+  expiresAt: entry?.expiresAt || null,
+  ageSeconds: entry ? Math.max(0, Math.round((Date.now() - Date.parse(entry.cachedAt)) / 1000)) : null
+});
+
+/**
+ * @param lookup   async (taxCode) => result - usually createTaxLookup().lookup
+ * @param storage  storage backend (server/storage), used as the persistent layer
+ * @param config   defaults to getLookupCacheConfig()
+ */
+export const createLookupCache = ({ lookup, storage, config = getLookupCacheConfig() }) => {
+  const memory = createLru(config.maxEntries);
+  const persistent = config.persist ? storage : null;
+  // Lookups in progress by tax code, so repeated clicks share one provider call
+  const inFlight = new Map();
+
+  const ttlOf = (result) => {
+    if (result.success) {
+      return result.isMock ? 0 : config.hitTtlMs;
+    }
+    return result.code === 'NOT_FOUND' && !result.partial ? config.missTtlMs : 0;
+  };
+
+  const readEntry = async (taxCode) => {
+    const cached = memory.get(taxCode);
+    if (isFresh(cached)) {
+      return cached;
+    }
+    memory.delete(taxCode);
+
+    if (!persistent) {
+      return null;
+    }
+    try {
+      const stored = await persistent.getLookupCache(taxCode);
+      if (isFresh(stored)) {
+        memory.set(taxCode, stored);
+        return stored;
+      }
+    } catch (error) {
+      console.error('[Tax Lookup] Failed to read the lookup cache:', error.message);
+    }
+    return null;
+  };
+
+  const writeEntry = async (taxCode, result) => {
+    const ttlMs = ttlOf(result);
+    if (config.hitTtlMs === 0 || ttlMs === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      taxCode,
+      result,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+    memory.set(taxCode, entry);
+    if (persistent) {
+      try {
+        await persistent.saveLookupCache(entry);
+      } catch (error) {
+        console.error('[Tax Lookup] Failed to write the lookup cache:', error.message);
+      }
+    }
+    return entry;
+  };
+
+  const lookupAndStore = async (taxCode) => {
+    const result = await lookup(taxCode);
+    const entry = await writeEntry(taxCode, result);
+    return { ...result, cache: describeEntry(entry, false) };
+  };
+
+  /**
+   * Cached lookup. refresh skips the cached answer and replaces it.
+   * Returns the lookup result plus cache: { hit, cachedAt, expiresAt, ageSeconds }.
+   */
+  const cachedLookup = async (taxCode, { refresh = false } = {}) => {
+    if (config.hitTtlMs > 0 && !refresh) {
+      const entry = await readEntry(taxCode);
+      if (entry) {
+        return { ...entry.result, cache: describeEntry(entry, true) };
+      }
+    }
+
+    if (!inFlight.has(taxCode)) {
+      inFlight.set(taxCode, lookupAndStore(taxCode).finally(() => inFlight.delete(taxCode)));
+    }
+    return inFlight.get(taxCode);
+  };
+
+  return { lookup: cachedLookup };
+};
@@ -0,0 +1,87 @@
+/**
+ * Circuit breaker for one lookup provider.
+ *
+ *   closed     requests go through; failureThreshold failures in a row open the breaker
+ *   open       requests are skipped until cooldownMs has passed - or as long as the provider
+ *              asked with Retry-After. A rate limit (429) opens the breaker at once.
+ *   half-open  after the wait one probe request goes through: success closes the breaker,
+ *              failure opens it again
+ *
+ * "Not found" is a successful answer. A request cancelled because another provider answered first
+ * counts as neither.
+ */
+
+/**
+ * @param failureThreshold  failures in a row that open the breaker
+ * @param cooldownMs        how long the breaker stays open without a Retry-After
+ * @param now               clock, for tests
+ */
+export const createCircuitBreaker = ({ failureThreshold = 3, cooldownMs = 60000, now = Date.now } = {}) => {
+  let failures = 0;
+  let openUntil = 0;
+  let probing = false;
+  let lastError = null;
+
+  const getState = () => {
+    if (openUntil === 0) {
+      return 'closed';
+    }
+    return now() < openUntil ? 'open' : 'half-open';
+  };
+
+  const open = (waitMs) => {
+    openUntil = now() + waitMs;
+    probing = false;
+  };
+
+  return {
+    // Whether a request may be sent now. In half-open state only one probe at a time is allowed.
+    allowRequest: () => {
+      const state = getState();
+      if (state === 'closed') {
+        return true;
+      }
+      if (state === 'half-open' && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess: () => {
+      failures = 0;
+      openUntil = 0;
+      probing = false;
+      lastError = null;
+    },
+
+    /**
+     * @param message       why the request failed
+     * @param status        HTTP status, if any - 429 opens the breaker at once
+     * @param retryAfterMs  wait asked for by the provider (Retry-After), opens the breaker at once
+     */
+    recordFailure: ({ message, status, retryAfterMs } = {}) => {
+      failures++;
+      lastError = message || null;
+      if (retryAfterMs > 0) {
+        open(retryAfterMs);
+      } else if (status === 429 || probing || failures >= failureThreshold) {
+        open(cooldownMs);
+      }
+    },
+
+    recordCancel: () => {
+      probing = false;
+    },
+
+    describe: () => {
+      const state = getState();
+      return {
+        state,
+        failures,
+        openUntil: state === 'open' ? new Date(openUntil).toISOString() : null,
+        lastError
+      };
+    }
+  };
+};
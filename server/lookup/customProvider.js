@@ -0,0 +1,44 @@
+/**
+ * Self-hosted lookup API configured with TAX_LOOKUP_API_URL.
+ * GET ${TAX_LOOKUP_API_URL}/${taxCode} answers { MaSoThue, Title, TitleEn, TitleEnAscii, DiaChiCongTy }.
+ */
+import { fetchJson } from './http.js';
+
+const getBaseUrl = () => process.env.TAX_LOOKUP_API_URL || '';
+
+// Company fields of a MaSoThue / Title response, or null when the response has another format
+export const parseCustomApiResponse = (data) => {
+  if (!data || !data.MaSoThue || !data.Title) {
+    return null;
+  }
+  return {
+    taxCode: data.MaSoThue,
+    companyName: data.Title,
+    companyNameEn: data.TitleEn,
+    shortName: data.TitleEnAscii,
+    address: data.DiaChiCongTy
+  };
+};
+
+export const customProvider = {
+  name: 'custom',
+  label: 'API tra cứu MST',
+
+  // The placeholder URL from env.example counts as not configured
+  enabled: () => {
+    const baseUrl = getBaseUrl();
+    return Boolean(baseUrl) && !baseUrl.includes('example.com');
+  },
+
+  lookup: async (taxCode, { signal }) => {
+    try {
+      const data = await fetchJson(`${getBaseUrl()}/${taxCode}`, { signal });
+      return parseCustomApiResponse(data);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+};
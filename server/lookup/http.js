@@ -0,0 +1,43 @@
+/**
+ * HTTP helper shared by the lookup providers.
+ */
+
+export const DEFAULT_HEADERS = {
+  'Accept': 'application/json',
+  'Content-Type': 'application/json',
+  'User-Agent': 'Tax-Info-App/1.0'
+};
+
+// Retry-After in milliseconds (delay in seconds or an HTTP date), or null
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+};
+
+// GET a JSON document. Throws on invalid JSON and on a non-2xx status, with error.status and
+// error.retryAfterMs (from Retry-After, sent with 429 and 503) set.
+// The provider chain passes a signal that aborts the request when the provider's timeout expires.
+export const fetchJson = async (url, { headers = {}, signal } = {}) => {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: { ...DEFAULT_HEADERS, ...headers },
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Invalid JSON response: ${text.substring(0, 200)}`);
+  }
+};
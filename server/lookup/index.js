@@ -0,0 +1,289 @@
+/**
+ * Company lookup by tax code through a chain of providers.
+ *
+ * Every provider exposes the same interface:
+ *   name                       - identifier used in TAX_LOOKUP_PROVIDERS and in logs
+ *   label                      - source name shown to cashiers next to the lookup result
+ *   isMock                     - true for sample data, which is only used when NODE_ENV=development
+ *   enabled()                  - false when the provider is not configured, it is then skipped
+ *   lookup(taxCode, { signal }) - company fields ({ taxCode, companyName, companyNameEn, shortName, address },
+ *                                 missing ones allowed) or null when the tax code is unknown.
+ *                                 Throws when the provider failed; signal aborts on timeout.
+ * Results are normalized here, so the route gets the same shape whichever provider answered,
+ * together with where it came from (source, sourceLabel, isMock) and when (fetchedAt).
+ *
+ * Configuration:
+ *   TAX_LOOKUP_PROVIDERS  providers to ask, in order (default: custom,vietqr,mock)
+ *   TAX_LOOKUP_STRATEGY   sequential (default) - one after another, the first hit wins
+ *                         parallel - all at once, the first hit wins and the others are aborted
+ *   TAX_LOOKUP_TIMEOUT_MS timeout of each provider (default: 10000)
+ *   TAX_LOOKUP_BREAKER_FAILURES          failures in a row that stop asking a provider (default: 3)
+ *   TAX_LOOKUP_BREAKER_COOLDOWN_SECONDS  how long it is skipped before one probe request (default: 60)
+ * Each setting can be overridden for one provider: TAX_LOOKUP_<NAME>_TIMEOUT_MS, ...
+ * Every provider has its own circuit breaker (see circuitBreaker.js), reported by /api/health.
+ *
+ * Another provider is added with registerLookupProvider() and listed in TAX_LOOKUP_PROVIDERS.
+ */
+import { customProvider, parseCustomApiResponse } from './customProvider.js';
+import { vietqrProvider } from './vietqrProvider.js';
+import { mockProvider } from './mockProvider.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { validateTaxCode } from '../taxCode.js';
+
+export const LOOKUP_STRATEGIES = ['sequential', 'parallel'];
+
+const DEFAULT_PROVIDER_ORDER = 'custom,vietqr,mock';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_BREAKER_FAILURES = 3;
+const DEFAULT_BREAKER_COOLDOWN_SECONDS = 60;
+
+const NOT_FOUND_MESSAGE = 'Không tìm thấy thông tin công ty từ các nguồn công khai. Vui lòng nhập thủ công hoặc kiểm tra lại mã số thuế.';
+const UNAVAILABLE_MESSAGE = 'Không thể kết nối đến các nguồn tra cứu. Vui lòng thử lại sau hoặc nhập thủ công.';
+
+// Registered providers by name
+const providers = new Map();
+
+export const registerLookupProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.lookup !== 'function') {
+    throw new Error('A lookup provider needs a name and a lookup(taxCode, { signal }) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+[customProvider, vietqrProvider, mockProvider].forEach(registerLookupProvider);
+
+// Format address - add "Việt Nam" if not present
+export const formatAddress = (address) => {
+  if (!address || address.trim() === '') {
+    return '';
+  }
+
+  const trimmedAddress = address.trim();
+
+  // Check if address already ends with "Việt Nam" or "Vietnam" (case insensitive)
+  const vietnamPatterns = [
+    /,\s*Việt\s*Nam\s*$/i,
+    /,\s*Vietnam\s*$/i,
+    /\s+Việt\s*Nam\s*$/i,
+    /\s+Vietnam\s*$/i
+  ];
+
+  if (vietnamPatterns.some(pattern => pattern.test(trimmedAddress))) {
+    return trimmedAddress;
+  }
+
+  return `${trimmedAddress}, Việt Nam`;
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// The response shape of every provider
+export const normalizeCompany = (company, taxCode = '') => ({
+  taxCode: toText(company.taxCode) || taxCode,
+  companyName: toText(company.companyName),
+  companyNameEn: toText(company.companyNameEn),
+  shortName: toText(company.shortName),
+  address: formatAddress(toText(company.address))
+});
+
+// Parse a custom API response posted to /api/tax-lookup/parse
+export const parseTaxApiResponse = (data) => {
+  const company = parseCustomApiResponse(data);
+  return company ? { success: true, data: normalizeCompany(company) } : null;
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// TAX_LOOKUP_<NAME>_<SETTING>, falling back to TAX_LOOKUP_<SETTING> and then the default
+const providerSetting = (name, setting, fallback) => parsePositiveInt(
+  process.env[`TAX_LOOKUP_${name.toUpperCase()}_${setting}`],
+  parsePositiveInt(process.env[`TAX_LOOKUP_${setting}`], fallback)
+);
+
+// Providers, strategy, timeouts and breaker settings from the environment
+export const getLookupConfig = () => {
+  const names = (process.env.TAX_LOOKUP_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const strategy = (process.env.TAX_LOOKUP_STRATEGY || 'sequential').trim().toLowerCase();
+  if (!LOOKUP_STRATEGIES.includes(strategy)) {
+    console.warn(`⚠️  [Tax Lookup] Unknown TAX_LOOKUP_STRATEGY "${strategy}", using sequential`);
+  }
+
+  return {
+    strategy: LOOKUP_STRATEGIES.includes(strategy) ? strategy : 'sequential',
+    providers: [...new Set(names)].map((name) => ({
+      name,
+      timeoutMs: providerSetting(name, 'TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+      breaker: {
+        failureThreshold: providerSetting(name, 'BREAKER_FAILURES', DEFAULT_BREAKER_FAILURES),
+        cooldownMs: providerSetting(name, 'BREAKER_COOLDOWN_SECONDS', DEFAULT_BREAKER_COOLDOWN_SECONDS) * 1000
+      }
+    }))
+  };
+};
+
+// Sample data must never reach real customers
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+const isUsable = (provider) => provider.enabled() && (!provider.isMock || isDevelopment());
+
+// Rejects once the signal aborts, so a provider that ignores its signal cannot hang the chain
+const whenAborted = (signal) => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+/**
+ * @param config  { strategy, providers: [{ name, timeoutMs, breaker }] } - defaults to getLookupConfig()
+ */
+export const createTaxLookup = (config = getLookupConfig()) => {
+  const chain = config.providers
+    .map(({ name, timeoutMs, breaker }) => {
+      const provider = providers.get(name);
+      if (!provider) {
+        console.warn(`⚠️  [Tax Lookup] Unknown provider "${name}" in TAX_LOOKUP_PROVIDERS, skipping it`);
+        return null;
+      }
+      if (provider.isMock && !isDevelopment()) {
+        console.warn(`⚠️  [Tax Lookup] Provider "${name}" returns sample data and is only used when NODE_ENV=development`);
+      }
+      return { provider, timeoutMs, breaker: createCircuitBreaker(breaker) };
+    })
+    .filter(Boolean);
+
+  // Ask one provider: { found: true, data } | { found: false, error? }.
+  // cancelSignal aborts it when another provider already answered (parallel strategy).
+  const askProvider = async ({ provider, timeoutMs, breaker }, taxCode, cancelSignal) => {
+    if (!breaker.allowRequest()) {
+      const { openUntil } = breaker.describe();
+      console.log(`[Tax Lookup] ${provider.name}: skipped, circuit open until ${openUntil}`);
+      return { found: false, error: 'circuit open' };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+    const cancel = () => controller.abort(new Error('cancelled'));
+    cancelSignal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      const company = await Promise.race([
+        provider.lookup(taxCode, { signal: controller.signal }),
+        whenAborted(controller.signal)
+      ]);
+      breaker.recordSuccess();
+      if (!company || !toText(company.companyName)) {
+        console.log(`[Tax Lookup] ${provider.name}: not found`);
+        return { found: false };
+      }
+      return { found: true, data: normalizeCompany(company, taxCode), fetchedAt: new Date().toISOString() };
+    } catch (error) {
+      if (cancelSignal?.aborted) {
+        breaker.recordCancel();
+        return { found: false, error: 'cancelled' };
+      }
+      const message = controller.signal.aborted ? controller.signal.reason.message : error.message;
+      breaker.recordFailure({ message, status: error.status, retryAfterMs: error.retryAfterMs });
+      console.log(`[Tax Lookup] ${provider.name} failed: ${message} (circuit ${breaker.describe().state})`);
+      return { found: false, error: message };
+    } finally {
+      clearTimeout(timeoutId);
+      cancelSignal?.removeEventListener('abort', cancel);
+    }
+  };
+
+  const askSequential = async (active, taxCode) => {
+    const outcomes = [];
+    for (const entry of active) {
+      const outcome = await askProvider(entry, taxCode);
+      if (outcome.found) {
+        return { ...outcome, provider: entry.provider };
+      }
+      outcomes.push(outcome);
+    }
+    return { found: false, outcomes };
+  };
+
+  const askParallel = async (active, taxCode) => {
+    const cancel = new AbortController();
+    try {
+      return await new Promise((resolve) => {
+        const outcomes = [];
+        active.forEach((entry) => {
+          askProvider(entry, taxCode, cancel.signal).then((outcome) => {
+            if (outcome.found) {
+              resolve({ ...outcome, provider: entry.provider });
+              return;
+            }
+            outcomes.push(outcome);
+            if (outcomes.length === active.length) {
+              resolve({ found: false, outcomes });
+            }
+          });
+        });
+      });
+    } finally {
+      cancel.abort();
+    }
+  };
+
+  /**
+   * Look up a company: { success: true, data, source, sourceLabel, isMock, fetchedAt } or
+   * { success: false, code: 'INVALID' | 'NOT_FOUND' | 'UNAVAILABLE', message }.
+   * partial: true marks a NOT_FOUND where some providers failed or were skipped.
+   */
+  const lookup = async (value) => {
+    const validation = validateTaxCode(value);
+    if (!validation.valid) {
+      return { success: false, code: 'INVALID', message: validation.message };
+    }
+    const { taxCode } = validation;
+
+    const active = chain.filter(({ provider }) => isUsable(provider));
+    console.log(`[Tax Lookup] ${taxCode}: asking ${active.map(({ provider }) => provider.name).join(', ') || 'no provider'} (${config.strategy})`);
+    if (active.length === 0) {
+      return { success: false, code: 'UNAVAILABLE', message: UNAVAILABLE_MESSAGE };
+    }
+
+    const result = config.strategy === 'parallel'
+      ? await askParallel(active, taxCode)
+      : await askSequential(active, taxCode);
+
+    if (result.found) {
+      const { provider } = result;
+      console.log(`[Tax Lookup] ${provider.name}: ${result.data.companyName}`);
+      return {
+        success: true,
+        data: result.data,
+        source: provider.name,
+        sourceLabel: provider.label || provider.name,
+        isMock: Boolean(provider.isMock),
+        fetchedAt: result.fetchedAt
+      };
+    }
+
+    // Only say "not found" when at least one provider actually answered
+    const failed = result.outcomes.filter((outcome) => outcome.error).length;
+    if (failed === result.outcomes.length) {
+      return { success: false, code: 'UNAVAILABLE', message: UNAVAILABLE_MESSAGE };
+    }
+    return { success: false, code: 'NOT_FOUND', message: NOT_FOUND_MESSAGE, ...(failed > 0 ? { partial: true } : {}) };
+  };
+
+  // Configured chain and breaker states, for /api/health
+  const describe = () => ({
+    strategy: config.strategy,
+    providers: chain.map(({ provider, timeoutMs, breaker }) => ({
+      name: provider.name,
+      enabled: isUsable(provider),
+      timeoutMs,
+      circuit: breaker.describe()
+    }))
+  });
+
+  return { lookup, describe };
+};
@@ -0,0 +1,27 @@
+/**
+ * Fixed sample data for testing without a real lookup API.
+ * Only used when NODE_ENV=development, results are marked isMock and never cached.
+ */
+import { parseCustomApiResponse } from './customProvider.js';
+
+// Same format as the custom API
+const MOCK_TAX_DATA = {
+  '3901212654': {
+    "Type": 11,
+    "MaSoThue": "3901212654",
+    "Title": "Công Ty TNHH Mtv Ngô Trọng Phát",
+    "TitleEn": "Ngo Trong Phat Co., Ltd",
+    "TitleEnAscii": null,
+    "DiaChiCongTy": "Tổ 17, ấp Tân Tiến, Xã Tân Lập, Huyện Tân Biên, Tỉnh Tây Ninh"
+  }
+};
+
+export const mockProvider = {
+  name: 'mock',
+  label: 'Dữ liệu mẫu',
+  isMock: true,
+
+  enabled: () => true,
+
+  lookup: async (taxCode) => parseCustomApiResponse(MOCK_TAX_DATA[taxCode])
+};
@@ -0,0 +1,41 @@
+/**
+ * VietQR business lookup (free public API).
+ * Answers { code: '00', desc, data: { id, name, internationalName, shortName, address } }.
+ * VIETQR_CLIENT_ID / VIETQR_API_KEY are optional - without them the public rate limit applies.
+ */
+import { fetchJson } from './http.js';
+
+const VIETQR_API_URL = 'https://api.vietqr.io/v2/business';
+
+export const vietqrProvider = {
+  name: 'vietqr',
+  label: 'VietQR',
+
+  enabled: () => true,
+
+  lookup: async (taxCode, { signal }) => {
+    const clientId = process.env.VIETQR_CLIENT_ID;
+    const apiKey = process.env.VIETQR_API_KEY;
+    const headers = clientId && apiKey ? { 'x-client-id': clientId, 'x-api-key': apiKey } : {};
+
+    const data = await fetchJson(`${VIETQR_API_URL}/${taxCode}`, { headers, signal });
+
+    if (data.code === '00' && data.data) {
+      return {
+        taxCode: data.data.id,
+        companyName: data.data.name,
+        companyNameEn: data.data.internationalName,
+        shortName: data.data.shortName,
+        address: data.data.address
+      };
+    }
+
+    // Any other code means VietQR has no company for this tax code
+    if (data.code) {
+      console.log(`[Tax Lookup] vietqr: ${data.code} - ${data.desc || 'Unknown error'}`);
+      return null;
+    }
+
+    throw new Error(`Unexpected response format: ${JSON.stringify(data).substring(0, 200)}`);
+  }
+};
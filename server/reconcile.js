@@ -0,0 +1,272 @@
+/**
+ * Reconciliation between the local store and the Google Sheet.
+ *
+ * Sheet rows are matched to stored submissions by id. The report lists
+ *   missingInSheet  stored submissions without a row (with their outbox status)
+ *   extraInSheet    rows whose id is unknown to the store, or that have no id
+ *   diverging       rows whose values differ from the stored submission ({ field, store, sheet })
+ *   duplicateIds    ids found on more than one row (the script upserts the last one)
+ *
+ * Optional repairs:
+ *   'sheet'  the store wins - missing and diverging rows are queued through the sync outbox
+ *   'store'  the sheet wins - diverging submissions are updated and extra rows with a valid id are imported
+ * The status column is owned by the sheet: the script never overwrites it, so only 'store' repairs it.
+ * Nothing is ever deleted on either side. Rows without an id are only reported.
+ */
+import { systemActor } from './history.js';
+import { DEFAULT_SUBMISSION_STATUS, SUBMISSION_STATUSES } from './submissionStatus.js';
+import { normalizeTaxCode } from './taxCode.js';
+import { isValidSubmissionId, normalizeInvoiceNumber, normalizePhone, validateTaxInfo } from './validation.js';
+
+export const REPAIR_DIRECTIONS = ['sheet', 'store'];
+
+const PAGE_SIZE = 100;
+
+// Row bookkeeping, not submission data
+const ROW_FIELDS = ['sheet', 'row', 'id'];
+
+// Fields a sheet repair may write into the store (the ones validateTaxInfo checks and normalizes)
+export const REPAIRABLE_FIELDS = ['taxCode', 'companyName', 'address', 'email', 'phone', 'invoiceNumber'];
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Dates typed into the sheet by hand stay text like 19/10/2026 or 19/10/2026 08:30 (Vietnam time)
+const VIETNAMESE_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const pad = (value) => String(value || 0).padStart(2, '0');
+
+const parseDate = (text) => {
+  const match = text.match(VIETNAMESE_DATE);
+  if (!match) {
+    return Date.parse(text);
+  }
+  const [, day, month, year, hour, minute, second] = match;
+  return Date.parse(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}+07:00`);
+};
+
+// Sheets turns numeric cells into numbers (dropping leading zeros) and dates into Dates,
+// so both sides are compared in a normalized form
+export const normalizeField = (field, value) => {
+  const text = toText(value);
+  if (field === 'taxCode') {
+    return normalizeTaxCode(text);
+  }
+  if (field === 'invoiceNumber') {
+    return normalizeInvoiceNumber(text);
+  }
+  if (field === 'phone') {
+    const phone = normalizePhone(text);
+    return /^[1-9][0-9]{8,9}$/.test(phone) ? `0${phone}` : phone;
+  }
+  if (field === 'status') {
+    // Submissions stored before statuses existed are pending
+    return text || DEFAULT_SUBMISSION_STATUS;
+  }
+  if (field === 'createdAt' || field === 'updatedAt') {
+    const time = parseDate(text);
+    return Number.isNaN(time) ? text : new Date(time).toISOString();
+  }
+  return text;
+};
+
+// Value of a sheet cell as it should be stored
+export const fromSheet = (field, value) => (field === 'phone' ? normalizeField(field, value) : toText(value));
+
+// Field-level differences between a stored submission and its sheet row
+export const diffRow = (submission, row) => Object.keys(row)
+  .filter((field) => !ROW_FIELDS.includes(field))
+  .filter((field) => normalizeField(field, submission[field]) !== normalizeField(field, row[field]))
+  .map((field) => ({ field, store: submission[field] ?? null, sheet: row[field] }));
+
+const summarize = (record) => ({
+  id: record.id || null,
+  ...(record.row ? { sheet: record.sheet || null, row: record.row } : {}),
+  taxCode: record.taxCode || '',
+  invoiceNumber: record.invoiceNumber || '',
+  createdAt: record.createdAt || null
+});
+
+/**
+ * Compare sheet rows with stored submissions.
+ * Returns { missingInSheet, extraInSheet, diverging, duplicateIds }. Entries carry the full
+ * submission (or, for extra rows, the sheet row) under `record` for the repair step.
+ */
+export const diffSheetAgainstStore = ({ submissions, rows }) => {
+  const rowsById = new Map();
+  const rowNumbersById = new Map();
+  const extraInSheet = [];
+
+  rows.forEach((row) => {
+    const id = toText(row.id);
+    if (!id) {
+      extraInSheet.push({ ...summarize(row), reason: 'no-id', record: row });
+      return;
+    }
+    rowsById.set(id, row);
+    rowNumbersById.set(id, [...(rowNumbersById.get(id) || []), row.row]);
+  });
+
+  const storedIds = new Set(submissions.map((submission) => submission.id));
+  rowsById.forEach((row, id) => {
+    if (!storedIds.has(id)) {
+      extraInSheet.push({ ...summarize(row), reason: 'unknown-id', record: row });
+    }
+  });
+
+  const missingInSheet = [];
+  const diverging = [];
+  submissions.forEach((submission) => {
+    const row = rowsById.get(submission.id);
+    if (!row) {
+      missingInSheet.push({ ...summarize(submission), record: submission });
+      return;
+    }
+    const changes = diffRow(submission, row);
+    if (changes.length > 0) {
+      diverging.push({ id: submission.id, sheet: row.sheet || null, row: row.row, changes, record: submission });
+    }
+  });
+
+  const duplicateIds = [...rowNumbersById.entries()]
+    .filter(([, rowNumbers]) => rowNumbers.length > 1)
+    .map(([id, rowNumbers]) => ({ id, rows: rowNumbers }));
+
+  return { missingInSheet, extraInSheet, diverging, duplicateIds };
+};
+
+/**
+ * @param storage        storage backend (server/storage)
+ * @param listSheetRows  async () => { success, rows } | { success: false, message } - usually googleSheets.listSheetRows
+ * @param syncOutbox     sync outbox (server/syncOutbox.js), used to push store values to the sheet
+ * @param recordHistory  async (entry) => void - audit trail writer
+ */
+export const createReconciler = ({ storage, listSheetRows, syncOutbox, recordHistory = async () => {} }) => {
+  const listAllSubmissions = async () => {
+    const submissions = [];
+    let page = 1;
+    for (;;) {
+      const { items, pagination } = await storage.list({ page, limit: PAGE_SIZE });
+      submissions.push(...items);
+      if (items.length === 0 || page >= pagination.totalPages) {
+        return submissions;
+      }
+      page++;
+    }
+  };
+
+  // Store wins: (re)write missing and diverging rows through the outbox
+  const repairSheet = async (diff) => {
+    const queued = [];
+    for (const { record } of [...diff.missingInSheet, ...diff.diverging]) {
+      await syncOutbox.enqueue(record);
+      queued.push(record.id);
+    }
+    if (queued.length > 0 && syncOutbox.config.mode === 'inline') {
+      await syncOutbox.drain();
+    }
+    return { direction: 'sheet', queued, skipped: [] };
+  };
+
+  // Sheet wins: update diverging submissions and import extra rows that carry a submission id
+  const repairStore = async (diff) => {
+    const updated = [];
+    const imported = [];
+    const skipped = [];
+    const actor = systemActor('reconcile');
+
+    for (const { id, row, changes, record } of diff.diverging) {
+      const sheetValues = {};
+      changes
+        .filter((change) => REPAIRABLE_FIELDS.includes(change.field))
+        .forEach((change) => {
+          sheetValues[change.field] = fromSheet(change.field, change.sheet);
+        });
+      const status = changes.find((change) => change.field === 'status' && SUBMISSION_STATUSES.includes(change.sheet));
+      if (status) {
+        sheetValues.status = status.sheet;
+      }
+      if (Object.keys(sheetValues).length === 0) {
+        skipped.push({ id, row, reason: 'Only bookkeeping fields differ' });
+        continue;
+      }
+      const validation = validateTaxInfo({ ...record, ...sheetValues });
+      if (!validation.valid) {
+        skipped.push({ id, row, reason: validation.message });
+        continue;
+      }
+      const after = await storage.update(id, {
+        ...record,
+        ...validation.value,
+        ...(sheetValues.status ? { status: sheetValues.status } : {}),
+        updatedAt: new Date().toISOString()
+      });
+      await recordHistory({ submissionId: id, action: 'reconcile', before: record, after, actor });
+      updated.push(id);
+    }
+
+    for (const { id, row, reason, record } of diff.extraInSheet) {
+      if (reason === 'no-id' || !isValidSubmissionId(id)) {
+        skipped.push({ id, row, reason: 'Row has no valid submission id' });
+        continue;
+      }
+      const values = Object.fromEntries(REPAIRABLE_FIELDS.map((field) => [field, fromSheet(field, record[field])]));
+      const validation = validateTaxInfo(values);
+      if (!validation.valid) {
+        skipped.push({ id, row, reason: validation.message });
+        continue;
+      }
+      const createdAt = normalizeField('createdAt', record.createdAt) || new Date().toISOString();
+      const status = SUBMISSION_STATUSES.includes(record.status) ? record.status : DEFAULT_SUBMISSION_STATUS;
+      const submission = await storage.create({ id, ...validation.value, status, createdAt });
+      await recordHistory({ submissionId: id, action: 'import', after: submission, actor });
+      imported.push(id);
+    }
+
+    return { direction: 'store', updated, imported, skipped };
+  };
+
+  /**
+   * Diff the sheet against the store and optionally repair.
+   * @param repair  'sheet' | 'store' | undefined (report only)
+   * Returns { success: true, report } or { success: false, message } when the sheet could not be read.
+   */
+  const run = async ({ repair } = {}) => {
+    const sheet = await listSheetRows();
+    if (!sheet.success) {
+      return { success: false, message: sheet.message };
+    }
+    const submissions = await listAllSubmissions();
+    const diff = diffSheetAgainstStore({ submissions, rows: sheet.rows });
+
+    const missingInSheet = await Promise.all(diff.missingInSheet.map(async ({ record, ...item }) => {
+      const job = await storage.getSyncJob(item.id);
+      return { ...item, syncStatus: job?.status || null };
+    }));
+
+    const report = {
+      checkedAt: new Date().toISOString(),
+      counts: {
+        stored: submissions.length,
+        sheetRows: sheet.rows.length,
+        missingInSheet: diff.missingInSheet.length,
+        extraInSheet: diff.extraInSheet.length,
+        diverging: diff.diverging.length,
+        duplicateIds: diff.duplicateIds.length
+      },
+      missingInSheet,
+      extraInSheet: diff.extraInSheet.map(({ record, ...item }) => item),
+      diverging: diff.diverging.map(({ record, ...item }) => item),
+      duplicateIds: diff.duplicateIds
+    };
+
+    if (repair === 'sheet') {
+      report.repair = await repairSheet(diff);
+    } else if (repair === 'store') {
+      report.repair = await repairStore(diff);
+    }
+
+    return { success: true, report };
+  };
+
+  return { run };
+};
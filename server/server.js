@@ -1,12 +1,35 @@
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-
-dotenv.config();
+import { randomUUID } from 'crypto';
+import { validateTaxInfo, isValidSubmissionId, normalizeInvoiceNumber } from './validation.js';
+import { validateTaxCode } from './taxCode.js';
+import { buildHistoryEntry, getClientIp, getRequestActor } from './history.js';
+import { createIdempotencyMiddleware } from './idempotency.js';
+import { createEditToken, getRequestEditToken, matchesEditToken, withoutEditToken } from './editToken.js';
+import {
+  appendTaxInfoToSheet,
+  appendTaxInfoBatchToSheet,
+  assignSheetRowIds,
+  getAppsScriptUrl,
+  isSheetsReadbackEnabled,
+  listSheetRows,
+  querySheetRows,
+  SIGNATURE_MAX_AGE_SECONDS,
+  verifySignedPayload
+} from './googleSheets.js';
+import { createSheetBatcher } from './sheetBatcher.js';
+import { isAdminRequest, requireAdmin, requireCronSecret } from './adminAuth.js';
+import { createSyncOutbox, describeSyncJob, getSyncConfig, SYNC_STATUSES } from './syncOutbox.js';
+import { createReconciler, REPAIR_DIRECTIONS } from './reconcile.js';
+import { createSheetImporter } from './sheetImport.js';
+import { createStatusUpdater, DEFAULT_SUBMISSION_STATUS } from './submissionStatus.js';
+import { createTaxLookup, parseTaxApiResponse } from './lookup/index.js';
+import { createLookupCache } from './lookup/cache.js';
+import { initStorage } from './storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,11 +37,9 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-// Tax info storage file path
-const TAX_INFO_FILE = path.join(__dirname, 'tax-info.json');
-
 // Google Sheets configuration - Using Apps Script (simpler than Service Account)
-const GOOGLE_APPS_SCRIPT_URL = process.env.GOOGLE_APPS_SCRIPT_URL || '';
+// The client lives in server/googleSheets.js
+const GOOGLE_APPS_SCRIPT_URL = getAppsScriptUrl();
 
 // Log Google Sheets configuration status on server start
 if (GOOGLE_APPS_SCRIPT_URL) {
@@ -46,7 +67,8 @@ app.use(cors({
       ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Actor-Name', 'X-Admin-Key', 'X-Edit-Token'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Body parsing middleware
@@ -72,490 +94,235 @@ app.get('/api/health', (req, res) => {
   res.json({
     success: true,
     message: 'Tax Info API is running',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    storage: storage.name,
+    taxLookup: taxLookup.describe()
   });
 });
 
-// Tax Info Storage Functions
-// Note: On Vercel serverless, file system is read-only except /tmp
-const readTaxInfo = () => {
-  try {
-    // On Vercel, file system operations may not work, return null gracefully
-    if (process.env.VERCEL) {
-      console.log('[File System] Running on Vercel - file operations disabled');
-      return null;
-    }
-    
-    if (fs.existsSync(TAX_INFO_FILE)) {
-      const data = fs.readFileSync(TAX_INFO_FILE, 'utf8');
-      return JSON.parse(data);
-    }
+// Tax Info Storage - backend is picked with STORAGE_BACKEND (see server/storage/index.js)
+const storage = await initStorage();
+
+// A replayed submission gets a new edit token: only its hash is kept, the token is not stored with the
+// response. The token from the first response stops working, which is fine - the client retried
+// because it did not get that response
+const reissueEditToken = async ({ statusCode, body }) => {
+  const submission = statusCode < 300 && body?.data?.id ? await storage.get(body.data.id) : null;
+  if (!submission) {
+    return body;
+  }
+  const editToken = createEditToken();
+  await storage.update(submission.id, { ...submission, editTokenHash: editToken.hash });
+  return { ...body, editToken: editToken.token };
+};
+
+// Replays stored responses for repeated Idempotency-Key headers (see server/idempotency.js)
+const idempotency = createIdempotencyMiddleware({ storage, secretFields: ['editToken'], onReplay: reissueEditToken });
+
+// Store a new submission under a generated id and return it. A storage error is thrown to the
+// route (500) - nothing may be queued or confirmed for a record that was not saved
+const createSubmission = async (taxInfo) => {
+  const submission = { id: randomUUID(), ...taxInfo };
+  await storage.create(submission);
+  return submission;
+};
+
+// Rows written by another deployment (or typed in by staff) only exist in the sheet.
+// They cannot be updated through the API, so the conflict carries the sheet row instead of an id.
+const findDuplicateInvoiceInSheet = async (taxInfo, excludeId) => {
+  if (!isSheetsReadbackEnabled()) {
     return null;
-  } catch (error) {
-    console.error('Error reading tax info:', error);
+  }
+  const result = await querySheetRows({ invoiceNumber: taxInfo.invoiceNumber, limit: 20 });
+  if (!result.success) {
+    console.error(`[Google Sheets] Duplicate check against the sheet failed, accepting submission: ${result.message}`);
+    return null;
+  }
+  const rows = result.rows.filter((row) => !excludeId || row.id !== excludeId);
+  if (rows.length === 0) {
     return null;
   }
+
+  const sameTaxCode = rows.find((row) => row.taxCode === taxInfo.taxCode);
+  const existing = sameTaxCode || rows[0];
+
+  return {
+    invoiceNumber: taxInfo.invoiceNumber,
+    taxCodeMatches: Boolean(sameTaxCode),
+    source: 'sheet',
+    existing: sameTaxCode
+      ? {
+          id: null,
+          sheet: existing.sheet || null,
+          row: existing.row,
+          taxCode: existing.taxCode,
+          companyName: existing.companyName,
+          createdAt: existing.createdAt
+        }
+      : {
+          id: null,
+          sheet: existing.sheet || null,
+          row: existing.row,
+          createdAt: existing.createdAt
+        }
+  };
 };
 
-const writeTaxInfo = (taxInfo) => {
+// Look for an existing submission with the same invoice number, in storage and then in the sheet.
+// Returns null when there is none, otherwise a conflict description for the 409 response.
+// Details of the stored record are only shared when the tax code matches.
+// excludeId skips the submission being updated.
+const findDuplicateInvoice = async (taxInfo, { excludeId } = {}) => {
+  let duplicates;
   try {
-    // On Vercel, file system is read-only except /tmp
-    if (process.env.VERCEL) {
-      console.log('[File System] Running on Vercel - skipping file write (data will be saved to Google Sheets only)');
-      return true; // Return true to not break the flow, data is saved to Google Sheets
-    }
-    
-    fs.writeFileSync(TAX_INFO_FILE, JSON.stringify(taxInfo, null, 2), 'utf8');
-    return true;
+    duplicates = (await storage.findByInvoiceNumber(taxInfo.invoiceNumber))
+      .filter((duplicate) => duplicate.id !== excludeId);
   } catch (error) {
-    console.error('Error writing tax info:', error);
-    // Don't fail completely, Google Sheets will still save the data
-    return true;
+    console.error(`[Storage:${storage.name}] Duplicate check failed, accepting submission:`, error);
+    return null;
+  }
+  if (duplicates.length === 0) {
+    return findDuplicateInvoiceInSheet(taxInfo, excludeId);
   }
-};
-
-// Append tax info to Google Sheets via Apps Script (if configured)
-const appendTaxInfoToSheet = async (taxInfo, retryCount = 0) => {
-  const MAX_RETRIES = 2;
-  
-  try {
-    console.log('[Google Sheets] Function called with taxInfo:', {
-      taxCode: taxInfo.taxCode,
-      companyName: taxInfo.companyName,
-      invoiceNumber: taxInfo.invoiceNumber,
-      retryAttempt: retryCount
-    });
-    
-    if (!GOOGLE_APPS_SCRIPT_URL) {
-      // Google Sheets not configured – nothing to do
-      console.log('ℹ️ [Google Sheets] Not configured (GOOGLE_APPS_SCRIPT_URL not set)');
-      console.log('ℹ️ [Google Sheets] Check server/.env file for GOOGLE_APPS_SCRIPT_URL');
-      return { success: false, message: 'Google Sheets not configured' };
-    }
-
-    console.log('[Google Sheets] Sending data to Apps Script...');
-    console.log(`[Google Sheets] URL: ${GOOGLE_APPS_SCRIPT_URL}`);
-    console.log('[Google Sheets] Data to send:', {
-      invoiceNumber: taxInfo.invoiceNumber || '',
-      taxCode: taxInfo.taxCode || '',
-      companyName: taxInfo.companyName || '',
-      address: taxInfo.address || '',
-      email: taxInfo.email || '',
-      phone: taxInfo.phone || ''
-    });
-    
-    // Create AbortController for timeout (30 seconds)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
-    
-    try {
-      // Send data to Apps Script web app
-      // Note: Google Apps Script URLs may redirect, so we need to follow redirects
-      const response = await fetch(GOOGLE_APPS_SCRIPT_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          invoiceNumber: taxInfo.invoiceNumber || '',
-          taxCode: taxInfo.taxCode || '',
-          companyName: taxInfo.companyName || '',
-          address: taxInfo.address || '',
-          email: taxInfo.email || '',
-          phone: taxInfo.phone || ''
-        }),
-        redirect: 'follow', // Follow redirects
-        signal: controller.signal
-      });
 
-      clearTimeout(timeoutId);
+  const sameTaxCode = duplicates.find((duplicate) => duplicate.taxCode === taxInfo.taxCode);
+  const existing = sameTaxCode || duplicates[0];
 
-      const responseText = await response.text();
-      console.log(`[Google Sheets] Response status: ${response.status} ${response.statusText}`);
-      console.log(`[Google Sheets] Response body: ${responseText.substring(0, 300)}`);
-      
-      if (response.ok) {
-        try {
-          const result = JSON.parse(responseText);
-          if (result.success) {
-            console.log('✅ [Google Sheets] Appended tax info successfully');
-            console.log(`   Tax Code: ${taxInfo.taxCode}, Company: ${taxInfo.companyName}`);
-            return { success: true, message: 'Data saved to Google Sheets' };
-          } else {
-            console.error('❌ [Google Sheets] Apps Script returned error:', result.message);
-            // Retry on error if we haven't exceeded max retries
-            if (retryCount < MAX_RETRIES) {
-              console.log(`[Google Sheets] Retrying... (${retryCount + 1}/${MAX_RETRIES})`);
-              await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1))); // Exponential backoff
-              return appendTaxInfoToSheet(taxInfo, retryCount + 1);
-            }
-            return { success: false, message: result.message || 'Apps Script returned error' };
-          }
-        } catch (parseError) {
-          console.error('❌ [Google Sheets] Failed to parse JSON response:', parseError.message);
-          console.error(`   Response was: ${responseText.substring(0, 200)}`);
-          // Retry on parse error if we haven't exceeded max retries
-          if (retryCount < MAX_RETRIES) {
-            console.log(`[Google Sheets] Retrying due to parse error... (${retryCount + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-            return appendTaxInfoToSheet(taxInfo, retryCount + 1);
-          }
-          return { success: false, message: 'Failed to parse response from Google Sheets' };
-        }
-      } else {
-        console.error(`❌ [Google Sheets] Failed to call Apps Script: ${response.status} ${response.statusText}`);
-        if (responseText) {
-          console.error(`   Error details: ${responseText.substring(0, 300)}`);
+  return {
+    invoiceNumber: taxInfo.invoiceNumber,
+    taxCodeMatches: Boolean(sameTaxCode),
+    source: 'storage',
+    existing: sameTaxCode
+      ? {
+          id: existing.id,
+          taxCode: existing.taxCode,
+          companyName: existing.companyName,
+          createdAt: existing.createdAt
         }
-        
-        // Retry on 5xx errors (server errors) but not on 4xx errors (client errors)
-        if (response.status >= 500 && retryCount < MAX_RETRIES) {
-          console.log(`[Google Sheets] Retrying due to server error... (${retryCount + 1}/${MAX_RETRIES})`);
-          await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-          return appendTaxInfoToSheet(taxInfo, retryCount + 1);
+      : {
+          id: existing.id,
+          createdAt: existing.createdAt
         }
-        
-        // Provide helpful error messages
-        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        if (response.status === 401) {
-          errorMessage = 'Apps Script authorization error. Check if "Who has access" is set to "Anyone"';
-          console.error('   💡 Tip: Check if Apps Script is authorized and "Who has access" is set to "Anyone"');
-        } else if (response.status === 403) {
-          errorMessage = 'Permission denied. Check if the Google Sheet allows editing';
-          console.error('   💡 Tip: Check if the Google Sheet allows editing and Apps Script has proper permissions');
-        } else if (response.status === 404) {
-          errorMessage = 'Apps Script URL not found. Check GOOGLE_APPS_SCRIPT_URL';
-          console.error('   💡 Tip: Check if GOOGLE_APPS_SCRIPT_URL is correct');
-        }
-        
-        return { success: false, message: errorMessage };
-      }
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      
-      if (fetchError.name === 'AbortError') {
-        console.error('❌ [Google Sheets] Request timeout after 30 seconds');
-        // Retry on timeout if we haven't exceeded max retries
-        if (retryCount < MAX_RETRIES) {
-          console.log(`[Google Sheets] Retrying due to timeout... (${retryCount + 1}/${MAX_RETRIES})`);
-          await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-          return appendTaxInfoToSheet(taxInfo, retryCount + 1);
-        }
-        return { success: false, message: 'Request timeout. Please check your connection and try again.' };
-      }
-      throw fetchError;
-    }
+  };
+};
+
+// Append a revision history entry - a failed audit write never fails the request
+const recordHistory = async (entry) => {
+  try {
+    await storage.appendHistory(buildHistoryEntry(entry));
   } catch (error) {
-    console.error('❌ [Google Sheets] Error appending tax info:', error.message);
-    if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
-      console.error('   💡 Tip: Check your internet connection and Apps Script URL');
-      // Retry on network errors if we haven't exceeded max retries
-      if (retryCount < MAX_RETRIES) {
-        console.log(`[Google Sheets] Retrying due to network error... (${retryCount + 1}/${MAX_RETRIES})`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-        return appendTaxInfoToSheet(taxInfo, retryCount + 1);
-      }
-      return { success: false, message: 'Network error. Please check your connection.' };
-    }
-    return { success: false, message: error.message || 'Unknown error occurred' };
+    console.error(`[Storage:${storage.name}] Error writing history for ${entry.submissionId}:`, error);
   }
 };
 
-// Helper function to format address - automatically add "Việt Nam" if not present
-const formatAddress = (address) => {
-  if (!address || address.trim() === '') {
-    return '';
+// Google Sheets sync outbox - submissions are synced by a worker with backoff (see server/syncOutbox.js)
+const syncConfig = getSyncConfig();
+
+// Records synced around the same time share one Apps Script request (see server/sheetBatcher.js)
+const sheetBatcher = createSheetBatcher({
+  sendOne: appendTaxInfoToSheet,
+  sendBatch: appendTaxInfoBatchToSheet,
+  maxBatchSize: syncConfig.batchSize,
+  windowMs: syncConfig.batchWindowMs
+});
+
+const syncOutbox = createSyncOutbox({
+  storage,
+  sync: sheetBatcher.add,
+  isConfigured: () => Boolean(GOOGLE_APPS_SCRIPT_URL),
+  recordHistory,
+  config: syncConfig
+});
+
+if (syncOutbox.config.mode === 'background') {
+  syncOutbox.start();
+} else if (!process.env.CRON_SECRET) {
+  // Inline mode makes one attempt per request - failed syncs wait for /api/cron/sheets-sync
+  console.warn('⚠️  [Sync Outbox] Inline mode without CRON_SECRET: failed Google Sheets syncs are only retried when /api/cron/sheets-sync is called');
+}
+
+// Sheet vs store comparison for the admin reconcile endpoints (see server/reconcile.js)
+const reconciler = createReconciler({ storage, listSheetRows, syncOutbox, recordHistory });
+
+// One-shot import of sheet rows from before the server kept records (see server/sheetImport.js)
+const sheetImporter = createSheetImporter({ storage, listSheetRows, assignSheetRowIds, recordHistory });
+
+// Status changes made in the Google Sheet (see server/submissionStatus.js)
+const statusUpdater = createStatusUpdater({ storage, recordHistory });
+
+// Company lookup by tax code through the configured providers (see server/lookup/index.js)
+const taxLookup = createTaxLookup();
+
+// Repeated lookups of the same tax code are answered from the cache (see server/lookup/cache.js)
+const lookupCache = createLookupCache({ lookup: taxLookup.lookup, storage });
+
+// Queue a submission for Google Sheets and describe the sync state for the response.
+// In inline mode (serverless) one attempt is made before responding; the outbox keeps failures.
+const queueSheetsSync = async (submission) => {
+  let job;
+  try {
+    job = await syncOutbox.enqueue(submission);
+  } catch (error) {
+    // Outbox unavailable - fall back to a single direct attempt so the row is not silently dropped
+    console.error(`[Storage:${storage.name}] Could not queue Google Sheets sync, trying directly:`, error.message);
+    return appendTaxInfoToSheet(submission);
   }
-  
-  const trimmedAddress = address.trim();
-  
-  // Check if address already ends with "Việt Nam" or "Vietnam" (case insensitive)
-  const vietnamPatterns = [
-    /,\s*Việt\s*Nam\s*$/i,
-    /,\s*Vietnam\s*$/i,
-    /\s+Việt\s*Nam\s*$/i,
-    /\s+Vietnam\s*$/i
-  ];
-  
-  const hasVietnam = vietnamPatterns.some(pattern => pattern.test(trimmedAddress));
-  
-  if (hasVietnam) {
-    return trimmedAddress;
+
+  if (syncOutbox.config.mode === 'inline') {
+    job = await syncOutbox.syncNow(submission.id);
   }
-  
-  // Add "Việt Nam" at the end
-  return `${trimmedAddress}, Việt Nam`;
+
+  return describeSyncJob(job, { configured: Boolean(GOOGLE_APPS_SCRIPT_URL) });
 };
 
-// Mock data for testing (remove when real API is configured)
-const MOCK_TAX_DATA = {
-  '3901212654': {
-    "Type": 11,
-    "MaSoThue": "3901212654",
-    "Title": "Công Ty TNHH Mtv Ngô Trọng Phát",
-    "TitleEn": "Ngo Trong Phat Co., Ltd",
-    "TitleEnAscii": null,
-    "DiaChiCongTy": "Tổ 17, ấp Tân Tiến, Xã Tân Lập, Huyện Tân Biên, Tỉnh Tây Ninh"
+// Parse a positive integer query parameter, falling back to a default
+const parsePositiveInt = (value, fallback, max = Infinity) => {
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    return fallback;
   }
+  return Math.min(parsed, max);
 };
 
-// Try VietQR API (Free public API)
-const tryVietQRApi = async (taxCode) => {
+// Email / phone of a returning customer's latest submission.
+// The sheet is checked too, since staff may have corrected the contact there.
+const findLastContact = async (taxCode) => {
+  const candidates = [];
+
   try {
-    // VietQR API endpoint - correct URL with api. prefix
-    const apiUrl = `https://api.vietqr.io/v2/business/${taxCode}`;
-    console.log(`Trying VietQR API: ${apiUrl}`);
-    
-    // Get API credentials from environment (optional - API may work without auth)
-    const clientId = process.env.VIETQR_CLIENT_ID;
-    const apiKey = process.env.VIETQR_API_KEY;
-    
-    // Build headers
-    const headers = {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      'User-Agent': 'Tax-Info-App/1.0'
-    };
-    
-    // Add authentication if credentials are provided
-    if (clientId && apiKey) {
-      headers['x-client-id'] = clientId;
-      headers['x-api-key'] = apiKey;
-      console.log('Using VietQR API with authentication');
-    } else {
-      console.log('Using VietQR API without authentication (public access)');
-    }
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: headers,
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    // Handle rate limiting
-    if (response.status === 429) {
-      console.log('VietQR API rate limit exceeded');
-      return null;
-    }
-    
-    if (!response.ok) {
-      console.log(`VietQR API returned status ${response.status}`);
-      return null;
-    }
-    
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      console.error('VietQR API: Failed to parse JSON response:', jsonError);
-      const textResponse = await response.text();
-      console.error('VietQR API: Raw response:', textResponse.substring(0, 200));
-      return null;
-    }
-    
-    // VietQR format: {code: "00", desc: "Success", data: {id, name, internationalName, shortName, address}}
-    if (data.code === '00' && data.data) {
-      const result = {
-        success: true,
-        data: {
-          taxCode: data.data.id || taxCode,
-          companyName: data.data.name || '',
-          companyNameEn: data.data.internationalName || '',
-          shortName: data.data.shortName || '',
-          address: formatAddress(data.data.address || '')
-        }
-      };
-      console.log('VietQR API success:', result.data.companyName);
-      return result;
+    const [latest] = await storage.findByTaxCode(taxCode);
+    if (latest) {
+      candidates.push({ email: latest.email, phone: latest.phone, submittedAt: latest.createdAt, source: 'storage' });
     }
-    
-    // Handle error response from VietQR
-    if (data.code && data.code !== '00') {
-      const errorDesc = data.desc || 'Unknown error';
-      console.log(`VietQR API error: ${data.code} - ${errorDesc}`);
-      // Return error message for better debugging
-      return {
-        success: false,
-        message: `VietQR API: ${errorDesc}`
-      };
-    }
-    
-    // If response doesn't have expected format
-    console.log('VietQR API: Unexpected response format', JSON.stringify(data).substring(0, 200));
-    return null;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.log('VietQR API timeout after 10 seconds');
-    } else if (error.message) {
-      console.log('VietQR API failed:', error.message);
-      console.error('Full error:', error);
-    } else {
-      console.log('VietQR API failed with unknown error:', error);
-    }
-    return null;
+    console.error(`[Storage:${storage.name}] Contact lookup failed:`, error);
   }
-};
 
-// Tax Info Lookup Function - Try multiple public APIs
-const lookupCompanyByTaxCode = async (taxCode) => {
-  try {
-    // Validate tax code format
-    if (!/^[0-9]{10,13}$/.test(taxCode)) {
-      return { success: false, message: 'Mã số thuế không hợp lệ' };
-    }
-
-    console.log(`Looking up tax code: ${taxCode}`);
-
-    // Priority 1: Try configured custom API
-    const apiBaseUrl = process.env.TAX_LOOKUP_API_URL;
-    
-    if (apiBaseUrl && !apiBaseUrl.includes('example.com')) {
-      console.log(`Using custom API: ${apiBaseUrl}`);
-      const apiUrl = `${apiBaseUrl}/${taxCode}`;
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-      
-      try {
-        const response = await fetch(apiUrl, {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'User-Agent': 'Tax-Info-App/1.0'
-          },
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-          let data;
-          try {
-            data = await response.json();
-          } catch (jsonError) {
-            console.error('Custom API: Failed to parse JSON response:', jsonError);
-            const textResponse = await response.text().catch(() => 'Unable to read response');
-            console.error('Custom API: Raw response:', textResponse.substring(0, 200));
-            throw new Error('Invalid JSON response from custom API');
-          }
-          
-          // Check for new API format (with MaSoThue field)
-          if (data.MaSoThue && data.Title) {
-            const result = {
-              success: true,
-              data: {
-                taxCode: data.MaSoThue || taxCode,
-                companyName: data.Title || '',
-                companyNameEn: data.TitleEn || '',
-                shortName: data.TitleEnAscii || '',
-                address: formatAddress(data.DiaChiCongTy || '')
-              }
-            };
-            console.log('Successfully found company info (custom API):', result.data.companyName);
-            return result;
-          }
-        }
-      } catch (error) {
-        console.log('Custom API failed, trying public APIs...');
-      }
+  if (isSheetsReadbackEnabled()) {
+    const result = await querySheetRows({ taxCode, limit: 1 });
+    if (result.success && result.rows[0]) {
+      const [row] = result.rows;
+      candidates.push({ email: row.email, phone: row.phone, submittedAt: row.createdAt, source: 'sheet' });
     }
-    
-    // Priority 2: Try VietQR API (Free public API)
-    console.log('Trying VietQR public API...');
-    const vietQrResult = await tryVietQRApi(taxCode);
-    if (vietQrResult) {
-      if (vietQrResult.success) {
-        console.log('Successfully found company info (VietQR):', vietQrResult.data.companyName);
-        return vietQrResult;
-      } else {
-        // Log error from VietQR API but continue to try other methods
-        console.log('VietQR API returned error:', vietQrResult.message);
-      }
-    }
-    
-    // Priority 3: Use mock data for testing
-    if (MOCK_TAX_DATA[taxCode]) {
-      console.log('Using mock data for testing');
-      const mockData = MOCK_TAX_DATA[taxCode];
-      const result = {
-        success: true,
-        data: {
-          taxCode: mockData.MaSoThue || taxCode,
-          companyName: mockData.Title || '',
-          companyNameEn: mockData.TitleEn || '',
-          shortName: mockData.TitleEnAscii || '',
-          address: formatAddress(mockData.DiaChiCongTy || '')
-        }
-      };
-      console.log('Successfully found company info (mock):', result.data.companyName);
-      return result;
-    }
-    
-    // All methods failed
-    return { 
-      success: false, 
-      message: 'Không tìm thấy thông tin công ty từ các nguồn công khai. Vui lòng nhập thủ công hoặc kiểm tra lại mã số thuế.' 
-    };
-  } catch (error) {
-    console.error('Error looking up company:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name
-    });
-    
-    // Handle specific error types
-    if (error.name === 'AbortError') {
-      return { 
-        success: false, 
-        message: 'Yêu cầu tra cứu quá thời gian. Vui lòng thử lại.' 
-      };
-    }
-    
-    if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
-      return { 
-        success: false, 
-        message: 'Không thể kết nối đến server tra cứu. Đang sử dụng dữ liệu mẫu. Vui lòng cấu hình TAX_LOOKUP_API_URL trong file .env để sử dụng API thực.' 
-      };
-    }
-    
-    return { 
-      success: false, 
-      message: `Lỗi khi tra cứu thông tin công ty: ${error.message}` 
-    };
   }
-};
 
-// Helper function to parse API response format
-const parseTaxApiResponse = (data) => {
-  if (data.MaSoThue && data.Title) {
-    return {
-      success: true,
-      data: {
-        taxCode: data.MaSoThue,
-        companyName: data.Title || '',
-        companyNameEn: data.TitleEn || '',
-        shortName: data.TitleEnAscii || '',
-        address: formatAddress(data.DiaChiCongTy || '')
-      }
-    };
-  }
-  return null;
+  // Newest submission wins
+  return candidates
+    .filter((candidate) => candidate.email || candidate.phone)
+    .sort((a, b) => String(b.submittedAt || '').localeCompare(String(a.submittedAt || '')))[0] || null;
 };
 
 // Tax Info API Routes
-app.get('/api/tax-info', (req, res) => {
+// Every submission with the customers' contact details, newest first - admins only (see server/adminAuth.js)
+app.get('/api/tax-info', requireAdmin, async (req, res) => {
   try {
-    const taxInfo = readTaxInfo();
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20, 100);
+    const { items, pagination } = await storage.list({ page, limit });
     res.json({
       success: true,
-      data: taxInfo
+      data: items.map(withoutEditToken),
+      pagination
     });
   } catch (error) {
     console.error('Error getting tax info:', error);
@@ -572,16 +339,20 @@ app.get('/api/tax-lookup/:taxCode', async (req, res) => {
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
   
   try {
-    const { taxCode } = req.params;
-    console.log(`[Tax Lookup] Request received for tax code: ${taxCode}`);
+    const validation = validateTaxCode(req.params.taxCode);
+    const taxCode = validation.valid ? validation.taxCode : req.params.taxCode;
+    // ?refresh=1 skips the cached answer
+    const refresh = ['1', 'true'].includes(String(req.query.refresh || '').toLowerCase());
+    console.log(`[Tax Lookup] Request received for tax code: ${taxCode}${refresh ? ' (refresh)' : ''}`);
     console.log(`[Tax Lookup] Environment: ${process.env.NODE_ENV}, Vercel: ${process.env.VERCEL ? 'Yes' : 'No'}`);
     
-    // Validate tax code format first
-    if (!taxCode || !/^[0-9]{10,13}$/.test(taxCode)) {
-      console.log(`[Tax Lookup] Invalid tax code format: ${taxCode}`);
+    // Validate tax code first (length, check digit, branch suffix)
+    if (!validation.valid) {
+      console.log(`[Tax Lookup] Invalid tax code: ${taxCode} (${validation.code})`);
       return res.status(200).json({
         success: false,
-        message: 'Mã số thuế không hợp lệ. Vui lòng nhập 10-13 chữ số.'
+        code: validation.code,
+        message: validation.message
       });
     }
     
@@ -589,7 +360,7 @@ app.get('/api/tax-lookup/:taxCode', async (req, res) => {
     let result;
     try {
       result = await Promise.race([
-        lookupCompanyByTaxCode(taxCode),
+        lookupCache.lookup(taxCode, { refresh }),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Lookup timeout after 15 seconds')), 15000)
         )
@@ -603,10 +374,15 @@ app.get('/api/tax-lookup/:taxCode', async (req, res) => {
     }
     
     if (result && result.success) {
-      console.log(`[Tax Lookup] ✅ Success for ${taxCode}: ${result.data?.companyName || 'N/A'}`);
+      console.log(`[Tax Lookup] ✅ Success for ${taxCode} (${result.source}${result.cache?.hit ? ', cached' : ''}): ${result.data?.companyName || 'N/A'}`);
       return res.json({
         success: true,
-        data: result.data
+        data: result.data,
+        source: result.source,
+        sourceLabel: result.sourceLabel,
+        isMock: result.isMock,
+        fetchedAt: result.fetchedAt,
+        cache: result.cache
       });
     } else {
       const errorMessage = result?.message || 'Không tìm thấy thông tin công ty từ các nguồn tra cứu';
@@ -614,7 +390,8 @@ app.get('/api/tax-lookup/:taxCode', async (req, res) => {
       // Return 200 with success: false instead of 404, so frontend can handle it gracefully
       return res.status(200).json({
         success: false,
-        message: errorMessage
+        message: errorMessage,
+        cache: result?.cache
       });
     }
   } catch (error) {
@@ -666,101 +443,137 @@ app.post('/api/tax-lookup/parse', (req, res) => {
   }
 });
 
-app.post('/api/tax-info', async (req, res) => {
-  try {
-    const taxData = req.body;
-    
-    // Validate required fields
-    if (!taxData.taxCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mã số thuế là bắt buộc'
-      });
-    }
-
-    // Validate tax code format (10-13 digits)
-    if (!/^[0-9]{10,13}$/.test(taxData.taxCode)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mã số thuế phải có 10-13 chữ số'
-      });
-    }
+// Contact of a returning customer, used to prefill email and phone. Only for admins and for
+// customers who send the edit token of one of their earlier submissions with this tax code
+app.get('/api/contacts/:taxCode', async (req, res) => {
+  const validation = validateTaxCode(req.params.taxCode);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      code: validation.code,
+      message: validation.message
+    });
+  }
+  const { taxCode } = validation;
 
-    // Validate email (required)
-    if (!taxData.email || taxData.email.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Email là bắt buộc'
-      });
-    }
+  const isAdmin = isAdminRequest(req);
+  const editToken = getRequestEditToken(req);
+  if (!isAdmin && !editToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Cần mã chỉnh sửa (X-Edit-Token) để truy cập thông tin này'
+    });
+  }
 
-    // Validate email format
-    const emailRegex = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
-    if (!emailRegex.test(taxData.email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email không hợp lệ'
-      });
+  try {
+    if (!isAdmin) {
+      const submissions = await storage.findByTaxCode(taxCode);
+      if (!submissions.some((submission) => matchesEditToken(submission, editToken))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Mã chỉnh sửa không đúng cho mã số thuế này'
+        });
+      }
     }
 
-    // Validate phone (required)
-    if (!taxData.phone || taxData.phone.trim() === '') {
-      return res.status(400).json({
+    const contact = await findLastContact(taxCode);
+    if (!contact) {
+      return res.status(404).json({
         success: false,
-        message: 'Số điện thoại là bắt buộc'
+        message: 'Không có thông tin liên hệ trước đó cho mã số thuế này'
       });
     }
+    res.json({
+      success: true,
+      data: {
+        email: contact.email || '',
+        phone: contact.phone || '',
+        submittedAt: contact.submittedAt || null,
+        source: contact.source
+      }
+    });
+  } catch (error) {
+    console.error('Error looking up contact:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up contact information'
+    });
+  }
+});
 
-    // Validate phone format (10-11 digits)
-    if (!/^[0-9]{10,11}$/.test(taxData.phone)) {
+app.post('/api/tax-info', idempotency, async (req, res) => {
+  try {
+    const taxData = req.body;
+    
+    // Validate tax code, email and phone (phone is normalized)
+    const validation = validateTaxInfo(taxData);
+    if (!validation.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Số điện thoại phải có 10-11 chữ số'
+        message: validation.message
       });
     }
 
     // Create tax info object
     const taxInfo = {
-      taxCode: taxData.taxCode,
-      companyName: taxData.companyName || '',
-      address: taxData.address || '',
-      email: taxData.email || '',
-      phone: taxData.phone || '',
-      invoiceNumber: taxData.invoiceNumber || '',
+      ...validation.value,
+      status: DEFAULT_SUBMISSION_STATUS,
       createdAt: taxData.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    // Save to file
-    const saved = writeTaxInfo(taxInfo);
+    // Refuse a second submission for the same invoice number unless the customer
+    // confirmed it is a different bill (allowDuplicate)
+    if (taxInfo.invoiceNumber && !taxData.allowDuplicate) {
+      const conflict = await findDuplicateInvoice(taxInfo);
+      if (conflict) {
+        console.log(`[POST /api/tax-info] Duplicate invoice number ${taxInfo.invoiceNumber} (existing: ${conflict.existing.id || `sheet row ${conflict.existing.row}`})`);
+        return res.status(409).json({
+          success: false,
+          code: 'DUPLICATE_INVOICE',
+          message: conflict.taxCodeMatches
+            ? 'Số hóa đơn này đã được lưu với cùng mã số thuế'
+            : 'Số hóa đơn này đã được lưu với một mã số thuế khác',
+          conflict
+        });
+      }
+    }
+
+    // Save as a new submission. Only the hash of the edit token is stored - the token itself
+    // is returned once, so the customer can correct this submission later (see server/editToken.js)
+    const editToken = createEditToken();
+    const submission = await createSubmission({ ...taxInfo, editTokenHash: editToken.hash });
+    await recordHistory({
+      submissionId: submission.id,
+      action: 'create',
+      after: submission,
+      actor: getRequestActor(req),
+      ip: getClientIp(req)
+    });
     
-    // Also append to Google Sheet (with better error handling)
-    console.log('[POST /api/tax-info] Attempting to save to Google Sheets...');
+    // Hand the Google Sheets append over to the outbox - the customer does not wait for retries
     let googleSheetsResult = null;
     try {
-      googleSheetsResult = await appendTaxInfoToSheet(taxInfo);
-      if (googleSheetsResult.success) {
-        console.log('[POST /api/tax-info] ✅ Google Sheets sync completed successfully');
-      } else {
-        console.error('[POST /api/tax-info] ⚠️ Google Sheets sync failed:', googleSheetsResult.message);
-        // Don't fail the entire request if Google Sheets fails, but log it
-      }
+      googleSheetsResult = await queueSheetsSync(submission);
+      console.log(`[POST /api/tax-info] Google Sheets sync: ${googleSheetsResult.status || (googleSheetsResult.success ? 'synced' : 'failed')} - ${googleSheetsResult.message}`);
     } catch (err) {
-      console.error('[POST /api/tax-info] ❌ Failed to sync tax info to Google Sheet:', err?.message);
-      console.error('[POST /api/tax-info] Error stack:', err?.stack);
+      console.error('[POST /api/tax-info] ❌ Failed to queue Google Sheets sync:', err?.message);
       // Don't fail the entire request if Google Sheets fails
     }
     
-    if (saved) {
+    if (submission) {
       // Include Google Sheets sync status in response if available
       const responseMessage = googleSheetsResult?.success 
         ? 'Thông tin mã số thuế đã được lưu thành công và đã được ghi vào Google Sheet'
-        : 'Thông tin mã số thuế đã được lưu thành công' + (googleSheetsResult ? ` (Lưu vào Google Sheet: ${googleSheetsResult.message})` : '');
+        : googleSheetsResult?.status === 'pending'
+          ? 'Thông tin mã số thuế đã được lưu thành công và đang chờ ghi vào Google Sheet'
+          : 'Thông tin mã số thuế đã được lưu thành công' + (googleSheetsResult ? ` (Lưu vào Google Sheet: ${googleSheetsResult.message})` : '');
       
       res.json({
         success: true,
         message: responseMessage,
-        data: taxInfo,
+        data: withoutEditToken(submission),
+        editToken: editToken.token,
         googleSheetsSync: googleSheetsResult || { success: false, message: 'Not attempted' }
       });
     } else {
@@ -775,6 +588,474 @@ app.post('/api/tax-info', async (req, res) => {
   }
 });
 
+// Reject malformed submission ids before touching storage
+const requireSubmissionId = (req, res, next) => {
+  if (!isValidSubmissionId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Mã bản ghi không hợp lệ'
+    });
+  }
+  next();
+};
+
+// Admins (ADMIN_API_KEY) may access every submission, customers only the ones whose edit token
+// they send as X-Edit-Token. The loaded submission is passed on as req.submission
+const requireSubmissionAccess = async (req, res, next) => {
+  const isAdmin = isAdminRequest(req);
+  const editToken = getRequestEditToken(req);
+  if (!isAdmin && !editToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Cần mã chỉnh sửa (X-Edit-Token) để truy cập thông tin này'
+    });
+  }
+
+  try {
+    const submission = await storage.get(req.params.id);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy thông tin mã số thuế'
+      });
+    }
+    if (!isAdmin && !matchesEditToken(submission, editToken)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Mã chỉnh sửa không đúng cho bản ghi này'
+      });
+    }
+    req.submission = submission;
+    next();
+  } catch (error) {
+    console.error('Error getting tax info:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tax information'
+    });
+  }
+};
+
+app.get('/api/tax-info/:id', requireSubmissionId, requireSubmissionAccess, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: withoutEditToken(req.submission)
+    });
+  } catch (error) {
+    console.error('Error getting tax info:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tax information'
+    });
+  }
+});
+
+// Revision history of a submission, oldest first (also available after deletion) - admins only
+app.get('/api/tax-info/:id/history', requireSubmissionId, requireAdmin, async (req, res) => {
+  try {
+    const history = await storage.getHistory(req.params.id);
+    if (history.length === 0 && !(await storage.get(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy thông tin mã số thuế'
+      });
+    }
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error getting tax info history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tax information history'
+    });
+  }
+});
+
+// Update a submission - fields missing from the body keep their stored value
+app.put('/api/tax-info/:id', requireSubmissionId, requireSubmissionAccess, async (req, res) => {
+  try {
+    const existing = req.submission;
+    const validation = validateTaxInfo({ ...existing, ...req.body });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    // A changed invoice number gets the same duplicate check as a new submission
+    const { invoiceNumber } = validation.value;
+    const invoiceChanged = normalizeInvoiceNumber(invoiceNumber) !== normalizeInvoiceNumber(existing.invoiceNumber);
+    if (invoiceNumber && invoiceChanged && !req.body.allowDuplicate) {
+      const conflict = await findDuplicateInvoice(validation.value, { excludeId: existing.id });
+      if (conflict) {
+        console.log(`[PUT /api/tax-info/:id] Duplicate invoice number ${invoiceNumber} (existing: ${conflict.existing.id || `sheet row ${conflict.existing.row}`})`);
+        return res.status(409).json({
+          success: false,
+          code: 'DUPLICATE_INVOICE',
+          message: conflict.taxCodeMatches
+            ? 'Số hóa đơn này đã được lưu với cùng mã số thuế'
+            : 'Số hóa đơn này đã được lưu với một mã số thuế khác',
+          conflict
+        });
+      }
+    }
+
+    const updated = await storage.update(existing.id, {
+      ...existing,
+      ...validation.value,
+      updatedAt: new Date().toISOString()
+    });
+    await recordHistory({
+      submissionId: existing.id,
+      action: 'update',
+      before: existing,
+      after: updated,
+      actor: getRequestActor(req),
+      ip: getClientIp(req)
+    });
+
+    // The Apps Script upserts by id, so the correction replaces the row in the sheet
+    let googleSheetsResult = null;
+    try {
+      googleSheetsResult = await queueSheetsSync(updated);
+    } catch (err) {
+      console.error('[PUT /api/tax-info/:id] ❌ Failed to queue Google Sheets sync:', err?.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Thông tin mã số thuế đã được cập nhật',
+      data: withoutEditToken(updated),
+      googleSheetsSync: googleSheetsResult || { success: false, message: 'Not attempted' }
+    });
+  } catch (error) {
+    console.error('Error updating tax info:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update tax information'
+    });
+  }
+});
+
+// Only admins delete - customers correct their submission with PUT
+app.delete('/api/tax-info/:id', requireAdmin, requireSubmissionId, async (req, res) => {
+  try {
+    const existing = await storage.get(req.params.id);
+    if (!existing || !(await storage.remove(existing.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy thông tin mã số thuế'
+      });
+    }
+    // History is kept after deletion so disputes can still be traced
+    await recordHistory({
+      submissionId: existing.id,
+      action: 'delete',
+      before: existing,
+      actor: getRequestActor(req),
+      ip: getClientIp(req)
+    });
+    res.json({
+      success: true,
+      message: 'Thông tin mã số thuế đã được xóa'
+    });
+  } catch (error) {
+    console.error('Error deleting tax info:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete tax information'
+    });
+  }
+});
+
+// Status set by accountants in the Google Sheet, posted by onStatusEdit in google-apps-script.js.
+// The body is signed with GOOGLE_APPS_SCRIPT_SECRET like the requests sent to the script:
+// { payload: '{"id","status","editedBy",...}', timestamp, nonce, signature }
+app.post('/api/sheets/status-callback', async (req, res) => {
+  try {
+    const verification = verifySignedPayload(req.body);
+    if (!verification.ok) {
+      console.log(`[Status callback] Rejected: ${verification.code}`);
+      return res.status(verification.code === 'SECRET_NOT_CONFIGURED' ? 503 : 401).json({
+        success: false,
+        code: verification.code,
+        message: verification.message
+      });
+    }
+
+    // A signed callback is accepted once - its nonce is remembered while the signature is valid
+    const now = Date.now();
+    const replayed = await storage.claimIdempotencyKey({
+      key: `sheet-callback ${verification.nonce}`,
+      status: 'done',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SIGNATURE_MAX_AGE_SECONDS * 2 * 1000).toISOString()
+    });
+    if (replayed) {
+      return res.status(409).json({
+        success: false,
+        code: 'REPLAYED',
+        message: 'Request đã được gửi trước đó'
+      });
+    }
+
+    const result = await statusUpdater.apply(verification.data || {});
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { submission } = result;
+    console.log(`[Status callback] ${submission.id}: ${submission.status}${result.changed ? '' : ' (unchanged)'}`);
+    res.json({
+      success: true,
+      message: result.changed ? 'Đã cập nhật trạng thái' : 'Trạng thái không thay đổi',
+      data: {
+        id: submission.id,
+        status: submission.status,
+        statusUpdatedAt: submission.statusUpdatedAt || null
+      },
+      notification: result.notification
+    });
+  } catch (error) {
+    console.error('[Status callback] Error updating status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update status'
+    });
+  }
+});
+
+// Retry due Google Sheets syncs where no background worker runs (inline mode on Vercel).
+// Scheduled in vercel.json; Vercel Cron authenticates with CRON_SECRET (see server/adminAuth.js)
+app.get('/api/cron/sheets-sync', requireCronSecret, async (req, res) => {
+  try {
+    // Leave room in the function's time limit (maxDuration in vercel.json) for the response
+    const summary = await syncOutbox.drain({ maxDurationMs: 20000 });
+    if (!summary) {
+      return res.json({
+        success: true,
+        message: GOOGLE_APPS_SCRIPT_URL ? 'Outbox is already being drained' : 'Google Sheets not configured',
+        data: null
+      });
+    }
+    console.log(`[Cron] Sheets sync: ${summary.processed} processed, ${summary.synced} synced, ${summary.pending} pending, ${summary.dead} dead`);
+    res.json({
+      success: true,
+      message: `Đã xử lý ${summary.processed} bản ghi trong hàng đợi đồng bộ Google Sheet`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('[Cron] Error draining sync outbox:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to drain sync outbox'
+    });
+  }
+});
+
+// Admin API Routes - protected by ADMIN_API_KEY (see server/adminAuth.js)
+app.use('/api/admin', requireAdmin);
+
+// Google Sheets sync state of every submission, newest first (?status=dead to list failures)
+app.get('/api/admin/sync-status', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !SYNC_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: ${SYNC_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20, 100);
+    const { items, pagination } = await storage.listSyncJobs({ status, page, limit });
+
+    const data = await Promise.all(items.map(async (job) => {
+      const submission = await storage.get(job.submissionId);
+      return {
+        submissionId: job.submissionId,
+        status: job.status,
+        attempts: job.attempts || 0,
+        lastError: job.lastError || null,
+        lastAttemptAt: job.lastAttemptAt || null,
+        nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null,
+        syncedAt: job.syncedAt || null,
+        submission: submission
+          ? {
+              taxCode: submission.taxCode,
+              invoiceNumber: submission.invoiceNumber,
+              companyName: submission.companyName,
+              createdAt: submission.createdAt
+            }
+          : null
+      };
+    }));
+
+    // Totals per state, so ops can see at a glance whether anything is stuck
+    const counts = {};
+    for (const syncStatus of SYNC_STATUSES) {
+      counts[syncStatus] = (await storage.listSyncJobs({ status: syncStatus, page: 1, limit: 1 })).pagination.total;
+    }
+
+    res.json({
+      success: true,
+      data,
+      counts,
+      pagination,
+      googleSheetsConfigured: Boolean(GOOGLE_APPS_SCRIPT_URL)
+    });
+  } catch (error) {
+    console.error('[Admin] Error getting sync status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sync status'
+    });
+  }
+});
+
+// Replay every dead-lettered sync - the outbox worker processes them in the background.
+// Inline mode has no worker, so the retries run before responding and their outcome is reported
+app.post('/api/admin/sync/retry-failed', async (req, res) => {
+  try {
+    const requeued = await syncOutbox.requeueFailed();
+    console.log(`[Admin] Requeued ${requeued} failed Google Sheets sync(s)`);
+    // Serverless freezes the function after the response - the drain must finish first.
+    // Jobs left over when the time runs out are picked up by /api/cron/sheets-sync
+    const results = syncOutbox.config.mode === 'inline' && requeued > 0
+      ? await syncOutbox.drain({ maxDurationMs: 20000 })
+      : null;
+    res.json({
+      success: true,
+      message: results
+        ? `Đã thử lại ${requeued} bản ghi lỗi: ${results.synced} đã ghi vào Google Sheet, ${results.pending + results.dead} chưa thành công`
+        : `Đã đưa ${requeued} bản ghi lỗi vào hàng đợi đồng bộ Google Sheet`,
+      requeued,
+      results
+    });
+  } catch (error) {
+    console.error('[Admin] Error retrying failed syncs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retry failed syncs'
+    });
+  }
+});
+
+// Retry the Google Sheets sync of one submission right away
+app.post('/api/admin/sync/:id/retry', requireSubmissionId, async (req, res) => {
+  try {
+    const submission = await storage.get(req.params.id);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy thông tin mã số thuế'
+      });
+    }
+
+    console.log(`[Admin] Retrying Google Sheets sync for ${submission.id}`);
+    const job = await syncOutbox.retry(submission);
+    const googleSheetsSync = describeSyncJob(job, { configured: Boolean(GOOGLE_APPS_SCRIPT_URL) });
+
+    res.json({
+      success: googleSheetsSync.success,
+      message: googleSheetsSync.message,
+      googleSheetsSync
+    });
+  } catch (error) {
+    console.error('[Admin] Error retrying sync:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retry sync'
+    });
+  }
+});
+
+// Compare the Google Sheet with the store. GET only reports; POST { repair: 'sheet' | 'store' } also
+// repairs - 'sheet' rewrites rows from the store, 'store' takes the sheet's values
+const handleReconcile = async (req, res) => {
+  const repair = req.method === 'POST' ? req.body?.repair : undefined;
+  if (repair !== undefined && !REPAIR_DIRECTIONS.includes(repair)) {
+    return res.status(400).json({
+      success: false,
+      message: `repair phải là một trong: ${REPAIR_DIRECTIONS.join(', ')}`
+    });
+  }
+  if (!GOOGLE_APPS_SCRIPT_URL) {
+    return res.status(503).json({
+      success: false,
+      message: 'Google Sheets chưa được cấu hình (GOOGLE_APPS_SCRIPT_URL)'
+    });
+  }
+
+  try {
+    console.log(`[Admin] Reconciling Google Sheet with storage${repair ? ` (repair: ${repair})` : ''}`);
+    const result = await reconciler.run({ repair });
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Không đọc được dữ liệu từ Google Sheet: ${result.message}`
+      });
+    }
+    res.json({
+      success: true,
+      data: result.report
+    });
+  } catch (error) {
+    console.error('[Admin] Error reconciling:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to reconcile'
+    });
+  }
+};
+
+app.get('/api/admin/reconcile', handleReconcile);
+app.post('/api/admin/reconcile', handleReconcile);
+
+// Import historical sheet rows into the store. Safe to run again - stored rows are skipped.
+// { dryRun: true } only reports what would be imported and which rows fail validation
+app.post('/api/admin/import-sheet', async (req, res) => {
+  if (!GOOGLE_APPS_SCRIPT_URL) {
+    return res.status(503).json({
+      success: false,
+      message: 'Google Sheets chưa được cấu hình (GOOGLE_APPS_SCRIPT_URL)'
+    });
+  }
+
+  try {
+    const dryRun = req.body?.dryRun === true;
+    console.log(`[Admin] Importing Google Sheet history${dryRun ? ' (dry run)' : ''}`);
+    const result = await sheetImporter.run({ dryRun });
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Không đọc được dữ liệu từ Google Sheet: ${result.message}`
+      });
+    }
+    const { counts } = result.report;
+    console.log(`[Admin] Sheet import: ${counts.imported} imported, ${counts.skipped} skipped, ${counts.invalid} invalid`);
+    res.json({
+      success: true,
+      message: `${dryRun ? 'Sẽ nhập' : 'Đã nhập'} ${counts.imported}/${counts.sheetRows} dòng, ${counts.invalid} dòng không hợp lệ`,
+      data: result.report
+    });
+  } catch (error) {
+    console.error('[Admin] Error importing sheet history:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to import sheet history'
+    });
+  }
+});
+
 // Error handling middleware - MUST be after all routes
 app.use((err, req, res, next) => {
   console.error('[Error Handler]', err.stack);
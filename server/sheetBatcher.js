@@ -0,0 +1,59 @@
+/**
+ * Buffers Google Sheets writes and sends them in batches.
+ *
+ * add() queues one submission and resolves with that submission's own result, so callers
+ * (the sync outbox) handle it exactly like a single appendTaxInfoToSheet call. The buffer is
+ * flushed when it holds maxBatchSize records or windowMs after the first record arrived.
+ * A buffer holding a single record is sent with sendOne, so SHEETS_BATCH_SIZE=1 keeps
+ * working against script versions without batch support.
+ */
+
+/**
+ * @param sendOne       async (record) => result - usually appendTaxInfoToSheet
+ * @param sendBatch     async (records) => { success: true, results } | { success: false, message, retryable }
+ * @param maxBatchSize  flush as soon as this many records are buffered
+ * @param windowMs      flush at most this long after the first buffered record
+ */
+export const createSheetBatcher = ({ sendOne, sendBatch, maxBatchSize, windowMs }) => {
+  let buffer = [];
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    const batch = buffer;
+    buffer = [];
+    if (batch.length === 0) {
+      return;
+    }
+
+    let results;
+    try {
+      if (batch.length === 1) {
+        results = [await sendOne(batch[0].record)];
+      } else {
+        const response = await sendBatch(batch.map((entry) => entry.record));
+        // A failed request fails every record in it
+        results = response.success ? response.results : batch.map(() => response);
+      }
+    } catch (error) {
+      const failure = { success: false, message: error.message || 'Unknown error occurred', retryable: true };
+      results = batch.map(() => failure);
+    }
+
+    batch.forEach((entry, index) => {
+      entry.resolve(results[index] || { success: false, message: 'No result returned for record', retryable: true });
+    });
+  };
+
+  const add = (record) => new Promise((resolve) => {
+    buffer.push({ record, resolve });
+    if (buffer.length >= maxBatchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, windowMs);
+    }
+  });
+
+  return { add, flush };
+};
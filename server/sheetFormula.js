@@ -0,0 +1,335 @@
+/**
+ * Evaluator for the Google Sheets formulas used in the script's conditional format rules,
+ * so the Apps Script emulator can tell which cells a rule highlights.
+ *
+ * Covers what applyHighlightRules() in google-apps-script.js writes: cell references ($A2, A2),
+ * whole columns ($A:$A), strings, numbers, array literals ({1,2,3}), the operators & + - * / and
+ * comparisons, and the functions AND, OR, NOT, IF, ISNUMBER, LEN, TEXT (zero-padded numbers only),
+ * MID, SUBSTITUTE, VALUE, MOD, SUMPRODUCT and COUNTIFS. Anything else throws, like a #NAME? error in Sheets.
+ * Arrays are evaluated element by element, as inside SUMPRODUCT.
+ * As in Sheets, an error in an argument makes the function fail, except in the branch IF does not take.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\$?[A-Z]{1,3}):(\$?[A-Z]{1,3})|(\$?)([A-Z]{1,3})(\$?)(\d+)|(\d+(?:\.\d+)?)|"((?:[^"]|"")*)"|([A-Z][A-Z0-9.]*)(?=\s*\()|(TRUE|FALSE)\b|(<>|<=|>=|[-+*/&=<>(){},;]))/y;
+
+// An error a formula can produce at runtime (#VALUE!...), as opposed to a syntax error
+const formulaError = (message) => Object.assign(new Error(message), { isFormulaError: true });
+
+const columnIndex = (letters) => letters
+  .replace('$', '')
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0);
+
+const tokenize = (formula) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  const source = formula.trim();
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unsupported formula syntax at "${source.slice(start)}"`);
+    }
+    const [, fromColumn, toColumn, columnAbsolute, column, rowAbsolute, row, number, string, name, boolean, operator] = match;
+    if (fromColumn) {
+      tokens.push({ type: 'columns', from: columnIndex(fromColumn), to: columnIndex(toColumn) });
+    } else if (column) {
+      tokens.push({
+        type: 'cell',
+        column: columnIndex(column),
+        row: parseInt(row, 10),
+        columnAbsolute: columnAbsolute === '$',
+        rowAbsolute: rowAbsolute === '$'
+      });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'value', value: parseFloat(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'value', value: string.replace(/""/g, '"') });
+    } else if (name) {
+      tokens.push({ type: 'function', name });
+    } else if (boolean) {
+      tokens.push({ type: 'value', value: boolean === 'TRUE' });
+    } else {
+      tokens.push({ type: 'operator', value: operator });
+    }
+  }
+  return tokens;
+};
+
+// Apply fn to scalars, or element by element when either side is an array
+const elementwise = (a, b, fn) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const length = Math.max(Array.isArray(a) ? a.length : 1, Array.isArray(b) ? b.length : 1);
+    return Array.from({ length }, (_, i) => fn(Array.isArray(a) ? a[i] : a, Array.isArray(b) ? b[i] : b));
+  }
+  return fn(a, b);
+};
+
+const toText = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return value === null || value === undefined ? '' : String(value);
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value === '' || value === null || value === undefined) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  const text = String(value).trim();
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    throw formulaError(`#VALUE! - "${text}" is not a number`);
+  }
+  return parseFloat(text);
+};
+
+// Sheets order: numbers < text < booleans; text compares case-insensitively
+const compare = (a, b) => {
+  const rank = (value) => (typeof value === 'number' ? 0 : typeof value === 'boolean' ? 2 : 1);
+  if (a === '' && typeof b === 'number') {
+    a = 0;
+  }
+  if (b === '' && typeof a === 'number') {
+    b = 0;
+  }
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (typeof a === 'string') {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    return left === right ? 0 : left < right ? -1 : 1;
+  }
+  return a === b ? 0 : a < b ? -1 : 1;
+};
+
+const COMPARISONS = {
+  '=': (order) => order === 0,
+  '<>': (order) => order !== 0,
+  '<': (order) => order < 0,
+  '>': (order) => order > 0,
+  '<=': (order) => order <= 0,
+  '>=': (order) => order >= 0
+};
+
+const truthy = (value) => (typeof value === 'string' ? value !== '' && value.toUpperCase() !== 'FALSE' : Boolean(value));
+
+const FUNCTIONS = {
+  AND: (...args) => args.flat().every(truthy),
+  OR: (...args) => args.flat().some(truthy),
+  NOT: (value) => !truthy(value),
+  IF: (condition, whenTrue, whenFalse = false) => (truthy(condition) ? whenTrue : whenFalse),
+  ISNUMBER: (value) => typeof value === 'number',
+  LEN: (value) => elementwise(value, null, (text) => toText(text).length),
+  // Only the zero-padding formats ("0000000000") are supported
+  TEXT: (value, format) => {
+    if (!/^0+$/.test(format)) {
+      throw new Error(`Unsupported TEXT format "${format}"`);
+    }
+    return elementwise(value, null, (number) => (
+      typeof number === 'number' ? String(Math.round(number)).padStart(format.length, '0') : toText(number)
+    ));
+  },
+  MID: (text, start, length) => elementwise(start, length, (from, count) => (
+    toText(text).substr(toNumber(from) - 1, toNumber(count))
+  )),
+  SUBSTITUTE: (text, search, replacement) => toText(text).split(toText(search)).join(toText(replacement)),
+  VALUE: (value) => elementwise(value, null, toNumber),
+  MOD: (dividend, divisor) => elementwise(dividend, divisor, (a, b) => {
+    const number = toNumber(a);
+    const by = toNumber(b);
+    return number - by * Math.floor(number / by);
+  }),
+  SUMPRODUCT: (...arrays) => {
+    const lists = arrays.map((array) => (Array.isArray(array) ? array : [array]));
+    return lists[0].reduce((sum, _, i) => sum + lists.reduce((product, list) => product * toNumber(list[i]), 1), 0);
+  },
+  // Criteria are plain values compared for equality (numbers match their text form)
+  COUNTIFS: (...args) => {
+    const pairs = [];
+    for (let i = 0; i < args.length; i += 2) {
+      pairs.push({ values: args[i], criterion: args[i + 1] });
+    }
+    const matches = (value, criterion) => value !== '' && toText(value).toLowerCase() === toText(criterion).toLowerCase();
+    return pairs[0].values.filter((_, row) => pairs.every(({ values, criterion }) => matches(values[row], criterion))).length;
+  }
+};
+
+/**
+ * Evaluate a formula for one cell.
+ * @param formula  e.g. '=AND($B2<>"",LEN($B2)=10)', written for the cell at origin
+ * @param getCell  (row, column) => value, 1-based
+ * @param getColumn (column) => values of the whole column from row 1
+ * @param origin   { row, column } the formula is written for (top-left of the rule's range)
+ * @param at       { row, column } the cell being evaluated - relative references move with it
+ */
+export const evaluateFormula = (formula, { getCell, getColumn, origin = { row: 1, column: 1 }, at = origin }) => {
+  const tokens = tokenize(String(formula).replace(/^\s*=/, ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" in formula ${formula}`);
+    }
+    position++;
+  };
+
+  // Move past the rest of an argument that failed: to the next , or the closing bracket
+  const skipArgument = (start) => {
+    position = start;
+    let depth = 0;
+    for (; position < tokens.length; position++) {
+      const token = tokens[position];
+      if (token.type !== 'operator') {
+        continue;
+      }
+      if (token.value === '(' || token.value === '{') {
+        depth++;
+      } else if (token.value === ')' || token.value === '}') {
+        if (depth === 0) {
+          return;
+        }
+        depth--;
+      } else if ((token.value === ',' || token.value === ';') && depth === 0) {
+        return;
+      }
+    }
+  };
+
+  // Arguments of a list. With deferErrors a runtime error becomes { error } in its place
+  const parseList = (closing, deferErrors = false) => {
+    const items = [];
+    if (isOperator(closing)) {
+      position++;
+      return items;
+    }
+    for (;;) {
+      const start = position;
+      try {
+        items.push(parseComparison());
+      } catch (error) {
+        if (!deferErrors || !error.isFormulaError) {
+          throw error;
+        }
+        skipArgument(start);
+        items.push({ error });
+      }
+      if (isOperator(',', ';')) {
+        position++;
+        continue;
+      }
+      expect(closing);
+      return items;
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error(`Unexpected end of formula ${formula}`);
+    }
+    if (token.type === 'value') {
+      return token.value;
+    }
+    if (token.type === 'cell') {
+      const row = token.rowAbsolute ? token.row : token.row + at.row - origin.row;
+      const column = token.columnAbsolute ? token.column : token.column + at.column - origin.column;
+      return getCell(row, column);
+    }
+    if (token.type === 'columns') {
+      if (token.from !== token.to) {
+        throw new Error('Only single-column ranges are supported');
+      }
+      return getColumn(token.from);
+    }
+    if (token.type === 'function') {
+      const fn = FUNCTIONS[token.name];
+      if (!fn) {
+        throw new Error(`#NAME? - unsupported function ${token.name}`);
+      }
+      expect('(');
+      const args = parseList(')', true);
+      const valueOf = (arg) => {
+        if (arg && arg.error) {
+          throw arg.error;
+        }
+        return arg;
+      };
+      // IF only evaluates the branch it takes
+      if (token.name === 'IF') {
+        const [condition, whenTrue, whenFalse = false] = args;
+        return truthy(valueOf(condition)) ? valueOf(whenTrue) : valueOf(whenFalse);
+      }
+      return fn(...args.map(valueOf));
+    }
+    if (token.value === '(') {
+      const value = parseComparison();
+      expect(')');
+      return value;
+    }
+    if (token.value === '{') {
+      return parseList('}').flat();
+    }
+    if (token.value === '-') {
+      return elementwise(parsePrimary(), null, (value) => -toNumber(value));
+    }
+    if (token.value === '+') {
+      return parsePrimary();
+    }
+    throw new Error(`Unexpected "${token.value}" in formula ${formula}`);
+  };
+
+  const parseTerm = () => {
+    let value = parsePrimary();
+    while (isOperator('*', '/')) {
+      const operator = tokens[position++].value;
+      const right = parsePrimary();
+      value = elementwise(value, right, (a, b) => (operator === '*' ? toNumber(a) * toNumber(b) : toNumber(a) / toNumber(b)));
+    }
+    return value;
+  };
+
+  const parseAdditive = () => {
+    let value = parseTerm();
+    while (isOperator('+', '-')) {
+      const operator = tokens[position++].value;
+      const right = parseTerm();
+      value = elementwise(value, right, (a, b) => (operator === '+' ? toNumber(a) + toNumber(b) : toNumber(a) - toNumber(b)));
+    }
+    return value;
+  };
+
+  const parseConcat = () => {
+    let value = parseAdditive();
+    while (isOperator('&')) {
+      position++;
+      const right = parseAdditive();
+      value = elementwise(value, right, (a, b) => toText(a) + toText(b));
+    }
+    return value;
+  };
+
+  const parseComparison = () => {
+    let value = parseConcat();
+    while (isOperator(...Object.keys(COMPARISONS))) {
+      const check = COMPARISONS[tokens[position++].value];
+      const right = parseConcat();
+      value = elementwise(value, right, (a, b) => check(compare(a, b)));
+    }
+    return value;
+  };
+
+  const result = parseComparison();
+  if (position !== tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in formula ${formula}`);
+  }
+  return result;
+};
@@ -0,0 +1,158 @@
+/**
+ * One-shot import of historical Google Sheet rows into the store.
+ *
+ * Rows are read through the Apps Script (doGet { all: true }), including archived month tabs. The
+ * script maps the sheet headers ('Thời gian', 'Số hóa đơn', 'Mã số thuế', ...) to submission fields
+ * using its COLUMNS property. Each row is validated like a form submission. Rows that fail are
+ * reported with the reason and are not imported.
+ *
+ * Running it again is safe:
+ *   - a row with an ID keeps it and is skipped when that submission is already stored
+ *   - a row without an ID gets an id derived from its content, so it always maps to the same
+ *     submission. The id is then written into the row's ID column, so later syncs update that
+ *     row instead of appending a new one.
+ */
+import { createHash } from 'crypto';
+import { systemActor } from './history.js';
+import { fromSheet, normalizeField, REPAIRABLE_FIELDS } from './reconcile.js';
+import { DEFAULT_SUBMISSION_STATUS, SUBMISSION_STATUSES } from './submissionStatus.js';
+import { isValidSubmissionId, validateTaxInfo } from './validation.js';
+
+// Rows per assignIds request (the script accepts up to 500)
+const ASSIGN_BATCH_SIZE = 200;
+
+// ISO timestamp of a sheet date cell (ISO text, a Sheets date or dd/MM/yyyy text), or null
+const parseSheetDate = (value) => {
+  const normalized = normalizeField('createdAt', value);
+  return normalized && !Number.isNaN(Date.parse(normalized)) ? normalized : null;
+};
+
+// Same content, same id: a name-based UUID (version 5 layout) from the row values
+const contentId = (values, createdAt) => {
+  const bytes = createHash('sha256')
+    .update(JSON.stringify([createdAt, ...REPAIRABLE_FIELDS.map((field) => values[field])]))
+    .digest()
+    .subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const rowRef = (row) => ({ sheet: row.sheet || null, row: row.row });
+
+/**
+ * @param storage           storage backend (server/storage)
+ * @param listSheetRows     async () => { success, rows } - usually googleSheets.listSheetRows
+ * @param assignSheetRowIds async (assignments) => { success, results } - usually googleSheets.assignSheetRowIds
+ * @param recordHistory     async (entry) => void - audit trail writer
+ */
+export const createSheetImporter = ({ storage, listSheetRows, assignSheetRowIds, recordHistory = async () => {} }) => {
+  // Write generated ids back into the sheet, a batch at a time
+  const writeBackIds = async (assignments) => {
+    const failed = [];
+    let assigned = 0;
+    for (let start = 0; start < assignments.length; start += ASSIGN_BATCH_SIZE) {
+      const batch = assignments.slice(start, start + ASSIGN_BATCH_SIZE);
+      const response = await assignSheetRowIds(batch);
+      if (!response.success) {
+        failed.push(...batch.map((item) => ({ ...rowRef(item), id: item.id, message: response.message })));
+        continue;
+      }
+      response.results.forEach((result, index) => {
+        if (result.success) {
+          assigned++;
+        } else {
+          failed.push({ ...rowRef(batch[index]), id: batch[index].id, message: result.message });
+        }
+      });
+    }
+    return { assigned, failed };
+  };
+
+  /**
+   * Import every sheet row that is not stored yet.
+   * @param dryRun  only report what would be imported
+   * Returns { success: true, report } or { success: false, message } when the sheet could not be read.
+   */
+  const run = async ({ dryRun = false } = {}) => {
+    const sheet = await listSheetRows();
+    if (!sheet.success) {
+      return { success: false, message: sheet.message };
+    }
+
+    const imported = [];
+    const skipped = [];
+    const invalid = [];
+    const assignments = [];
+    const seen = new Set();
+    const actor = systemActor('sheet-import');
+
+    for (const row of sheet.rows) {
+      const values = Object.fromEntries(REPAIRABLE_FIELDS.map((field) => [field, fromSheet(field, row[field])]));
+      const validation = validateTaxInfo(values);
+      const createdAt = parseSheetDate(row.createdAt);
+      const reasons = [
+        ...(validation.valid ? [] : [validation.message]),
+        ...(createdAt ? [] : [`Thời gian không hợp lệ: "${row.createdAt ?? ''}"`])
+      ];
+
+      const rowId = String(row.id ?? '').trim();
+      if (rowId && !isValidSubmissionId(rowId)) {
+        reasons.push(`ID không hợp lệ: "${rowId}"`);
+      }
+      if (reasons.length > 0) {
+        invalid.push({ ...rowRef(row), taxCode: values.taxCode, invoiceNumber: values.invoiceNumber, reasons });
+        continue;
+      }
+
+      // Identical rows map to the same id - only the first one is imported and gets it
+      const id = rowId || contentId(validation.value, createdAt);
+      if (seen.has(id)) {
+        skipped.push({ ...rowRef(row), id, reason: 'duplicate-row' });
+        continue;
+      }
+      seen.add(id);
+      if (!rowId) {
+        assignments.push({ ...rowRef(row), id, taxCode: values.taxCode });
+      }
+
+      if (await storage.get(id)) {
+        skipped.push({ ...rowRef(row), id, reason: 'exists' });
+        continue;
+      }
+
+      if (!dryRun) {
+        const status = SUBMISSION_STATUSES.includes(row.status) ? row.status : DEFAULT_SUBMISSION_STATUS;
+        const importedAt = new Date().toISOString();
+        const submission = await storage.create({ id, ...validation.value, status, createdAt, updatedAt: importedAt, importedAt });
+        await recordHistory({ submissionId: id, action: 'import', after: submission, actor });
+      }
+      imported.push({ ...rowRef(row), id });
+    }
+
+    const idWriteBack = dryRun || assignments.length === 0
+      ? { assigned: 0, failed: [] }
+      : await writeBackIds(assignments);
+
+    const report = {
+      dryRun,
+      checkedAt: new Date().toISOString(),
+      counts: {
+        sheetRows: sheet.rows.length,
+        imported: imported.length,
+        skipped: skipped.length,
+        invalid: invalid.length,
+        idsAssigned: idWriteBack.assigned,
+        idsNotAssigned: idWriteBack.failed.length
+      },
+      imported,
+      skipped,
+      invalid,
+      idsNotAssigned: idWriteBack.failed
+    };
+    return { success: true, report };
+  };
+
+  return { run };
+};
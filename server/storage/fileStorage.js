@@ -0,0 +1,238 @@
+/**
+ * JSON-lines file storage backend.
+ * Each submission is one line of JSON, appended in insertion order (oldest first).
+ */
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { paginate, isExpired, isDueSyncJob, byCreatedAt } from './helpers.js';
+import { normalizeInvoiceNumber } from '../validation.js';
+
+// Read every submission from the file, skipping lines that cannot be parsed
+const readLines = async (filePath) => {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (parseError) {
+        console.error(`[Storage:file] Skipping corrupt line ${index + 1} in ${filePath}:`, parseError.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Rewrite the whole file atomically (write to a temp file, then rename)
+const writeLines = async (filePath, submissions) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, submissions.map((submission) => JSON.stringify(submission) + '\n').join(''), 'utf8');
+  await fs.promises.rename(tempPath, filePath);
+};
+
+// Run async file operations one after another so read-modify-write cycles do not interleave
+const createLock = () => {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task, task);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+// Read a JSON object file, treating a missing file as empty
+const readJsonObject = async (jsonPath) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+};
+
+const writeJsonObject = async (jsonPath, data) => {
+  const tempPath = `${jsonPath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.promises.rename(tempPath, jsonPath);
+};
+
+// Import the old tax-info.json (single record or JSON array) the first time the backend runs
+const migrateLegacyFile = async (legacyFilePath, filePath) => {
+  if (!legacyFilePath || fs.existsSync(filePath) || !fs.existsSync(legacyFilePath)) {
+    return;
+  }
+
+  const data = JSON.parse(await fs.promises.readFile(legacyFilePath, 'utf8'));
+  const records = (Array.isArray(data) ? data : [data])
+    .filter(Boolean)
+    .map((record) => ({ id: record.id || randomUUID(), ...record }));
+
+  await writeLines(filePath, records);
+  console.log(`[Storage:file] Migrated ${records.length} record(s) from ${legacyFilePath}`);
+};
+
+export const createFileStorage = ({ filePath, legacyFilePath, historyFilePath } = {}) => {
+  if (!filePath) {
+    throw new Error('File storage requires a filePath');
+  }
+
+  // Revision history lives next to the submissions unless configured otherwise
+  const historyPath = historyFilePath || filePath.replace(/(\.jsonl)?$/, '.history.jsonl');
+  const idempotencyPath = filePath.replace(/(\.jsonl)?$/, '.idempotency.json');
+  const outboxPath = filePath.replace(/(\.jsonl)?$/, '.outbox.json');
+  const lookupCachePath = filePath.replace(/(\.jsonl)?$/, '.lookup-cache.json');
+  const withLock = createLock();
+
+  // Apply a change to the idempotency file, dropping expired records on the way
+  const updateIdempotencyKeys = (change) => withLock(async () => {
+    const records = await readJsonObject(idempotencyPath);
+    Object.keys(records)
+      .filter((key) => isExpired(records[key]))
+      .forEach((key) => delete records[key]);
+    const result = change(records);
+    await writeJsonObject(idempotencyPath, records);
+    return result;
+  });
+
+  return {
+    name: 'file',
+
+    init: async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await migrateLegacyFile(legacyFilePath, filePath);
+    },
+
+    create: async (submission) => withLock(async () => {
+      await fs.promises.appendFile(filePath, JSON.stringify(submission) + '\n', 'utf8');
+      return submission;
+    }),
+
+    get: async (id) => {
+      const submissions = await readLines(filePath);
+      return submissions.find((submission) => submission.id === id) || null;
+    },
+
+    update: async (id, submission) => withLock(async () => {
+      const submissions = await readLines(filePath);
+      const index = submissions.findIndex((existing) => existing.id === id);
+      if (index === -1) {
+        return null;
+      }
+      submissions[index] = { ...submission, id };
+      await writeLines(filePath, submissions);
+      return submissions[index];
+    }),
+
+    remove: async (id) => withLock(async () => {
+      const submissions = await readLines(filePath);
+      const remaining = submissions.filter((existing) => existing.id !== id);
+      if (remaining.length === submissions.length) {
+        return false;
+      }
+      await writeLines(filePath, remaining);
+      return true;
+    }),
+
+    list: async ({ page, limit } = {}) => {
+      const submissions = await readLines(filePath);
+      return paginate(submissions.reverse(), { page, limit });
+    },
+
+    findByInvoiceNumber: async (invoiceNumber) => {
+      const wanted = normalizeInvoiceNumber(invoiceNumber);
+      const submissions = await readLines(filePath);
+      return submissions
+        .filter((submission) => normalizeInvoiceNumber(submission.invoiceNumber) === wanted)
+        .reverse();
+    },
+
+    findByTaxCode: async (taxCode) => {
+      const submissions = await readLines(filePath);
+      return submissions.filter((submission) => submission.taxCode === taxCode).reverse();
+    },
+
+    claimIdempotencyKey: async (record) => updateIdempotencyKeys((records) => {
+      if (records[record.key]) {
+        return records[record.key];
+      }
+      records[record.key] = record;
+      return null;
+    }),
+
+    saveIdempotencyKey: async (record) => updateIdempotencyKeys((records) => {
+      records[record.key] = record;
+      return record;
+    }),
+
+    deleteIdempotencyKey: async (key) => updateIdempotencyKeys((records) => {
+      const existed = Boolean(records[key]);
+      delete records[key];
+      return existed;
+    }),
+
+    saveSyncJob: async (job) => withLock(async () => {
+      const jobs = await readJsonObject(outboxPath);
+      jobs[job.submissionId] = job;
+      await writeJsonObject(outboxPath, jobs);
+      return job;
+    }),
+
+    getSyncJob: async (submissionId) => {
+      const jobs = await readJsonObject(outboxPath);
+      return jobs[submissionId] || null;
+    },
+
+    listSyncJobs: async ({ status, page, limit } = {}) => {
+      const jobs = Object.values(await readJsonObject(outboxPath))
+        .filter((job) => !status || job.status === status)
+        .sort(byCreatedAt)
+        .reverse();
+      return paginate(jobs, { page, limit });
+    },
+
+    listDueSyncJobs: async ({ now = Date.now(), limit = 10 } = {}) => Object.values(await readJsonObject(outboxPath))
+      .filter((job) => isDueSyncJob(job, now))
+      .sort(byCreatedAt)
+      .slice(0, limit),
+
+    appendHistory: async (entry) => {
+      await fs.promises.appendFile(historyPath, JSON.stringify(entry) + '\n', 'utf8');
+      return entry;
+    },
+
+    getHistory: async (submissionId) => {
+      const entries = await readLines(historyPath);
+      return entries.filter((entry) => entry.submissionId === submissionId);
+    },
+
+    getLookupCache: async (taxCode) => {
+      const entries = await readJsonObject(lookupCachePath);
+      const entry = entries[taxCode];
+      return entry && !isExpired(entry) ? entry : null;
+    },
+
+    // Expired entries are dropped on every write
+    saveLookupCache: async (entry) => withLock(async () => {
+      const entries = await readJsonObject(lookupCachePath);
+      Object.keys(entries)
+        .filter((taxCode) => isExpired(entries[taxCode]))
+        .forEach((taxCode) => delete entries[taxCode]);
+      entries[entry.taxCode] = entry;
+      await writeJsonObject(lookupCachePath, entries);
+      return entry;
+    })
+  };
+};
@@ -0,0 +1,33 @@
+/**
+ * Shared helpers for storage backends that hold the full list in memory.
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Slice an already sorted (newest first) list into one page
+export const paginate = (items, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const start = (page - 1) * limit;
+
+  return {
+    items: items.slice(start, start + limit),
+    pagination: buildPagination({ page, limit, total: items.length })
+  };
+};
+
+export const buildPagination = ({ page = 1, limit = DEFAULT_PAGE_SIZE, total }) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+// Records with an expiresAt timestamp in the past (idempotency keys, lookup cache entries)
+export const isExpired = (record, now = Date.now()) => Boolean(record?.expiresAt) && Date.parse(record.expiresAt) <= now;
+
+// Outbox jobs that a worker may pick up now: pending and due, or processing with an expired lease
+export const isDueSyncJob = (job, now = Date.now()) => (
+  (job.status === 'pending' && Date.parse(job.nextAttemptAt || 0) <= now) ||
+  (job.status === 'processing' && Date.parse(job.leaseUntil || 0) <= now)
+);
+
+// Oldest first by creation time
+export const byCreatedAt = (a, b) => Date.parse(a.createdAt || 0) - Date.parse(b.createdAt || 0);
@@ -0,0 +1,76 @@
+/**
+ * Storage adapter layer for tax info submissions.
+ *
+ * Every backend exposes the same async interface:
+ *   name                    - backend identifier reported by /api/health
+ *   init()                  - prepare files / tables, must be awaited before use
+ *   create(submission)      - store a new submission (already has an id)
+ *   get(id)                 - one submission or null
+ *   update(id, submission)  - replace a stored submission, returns it or null if unknown
+ *   remove(id)              - delete a submission, returns false if unknown
+ *   list({ page, limit })   - { items, pagination }, newest first
+ *   findByInvoiceNumber(n)  - submissions with the same (normalized) invoice number, newest first
+ *   findByTaxCode(taxCode)  - submissions of one tax code, newest first
+ *   claimIdempotencyKey(r)  - store r unless an unexpired record with r.key exists, returns that record or null
+ *   saveIdempotencyKey(r)   - store / replace an idempotency record
+ *   deleteIdempotencyKey(k) - forget an idempotency key
+ *   saveSyncJob(job)        - create / replace the Google Sheets outbox job of job.submissionId
+ *   getSyncJob(id)          - outbox job of a submission or null
+ *   listSyncJobs({ status, page, limit }) - { items, pagination }, newest first
+ *   listDueSyncJobs({ now, limit })       - jobs a worker may process now, oldest first
+ *   appendHistory(entry)    - append a revision history entry (never modified afterwards)
+ *   getHistory(id)          - revision history of one submission, oldest first
+ *   getLookupCache(taxCode) - unexpired company lookup cache entry or null
+ *   saveLookupCache(entry)  - store / replace the lookup cache entry of entry.taxCode
+ *
+ * The backend is picked with STORAGE_BACKEND (file | sqlite | memory, default: file).
+ * STORAGE_PATH overrides where the file / database is written.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFileStorage } from './fileStorage.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// On Vercel serverless, file system is read-only except /tmp
+const DATA_DIR = process.env.VERCEL ? '/tmp' : path.join(__dirname, '..');
+
+export const STORAGE_BACKENDS = ['file', 'sqlite', 'memory'];
+
+export const createStorage = (backend = process.env.STORAGE_BACKEND || 'file') => {
+  switch (backend) {
+    case 'file':
+      return createFileStorage({
+        filePath: process.env.STORAGE_PATH || path.join(DATA_DIR, 'tax-info.jsonl'),
+        legacyFilePath: path.join(DATA_DIR, 'tax-info.json')
+      });
+    case 'sqlite':
+      return createSqliteStorage({
+        filePath: process.env.STORAGE_PATH || path.join(DATA_DIR, 'tax-info.db'),
+        legacyFilePath: path.join(DATA_DIR, 'tax-info.json')
+      });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+};
+
+// Create and initialize the configured backend.
+// If it cannot start, fall back to memory so Google Sheets sync keeps working.
+export const initStorage = async (backend) => {
+  try {
+    const storage = createStorage(backend);
+    await storage.init();
+    console.log(`✅ [Storage] Using ${storage.name} backend`);
+    return storage;
+  } catch (error) {
+    console.error('❌ [Storage] Failed to initialize storage backend:', error.message);
+    console.error('   💡 Tip: Check STORAGE_BACKEND / STORAGE_PATH. Falling back to in-memory storage');
+    const storage = createMemoryStorage();
+    await storage.init();
+    return storage;
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * In-memory storage backend.
+ * Nothing is persisted - intended for tests and throwaway local runs.
+ */
+import { paginate, isExpired, isDueSyncJob, byCreatedAt } from './helpers.js';
+import { normalizeInvoiceNumber } from '../validation.js';
+
+export const createMemoryStorage = () => {
+  // Submissions in insertion order (oldest first)
+  const submissions = [];
+  // Append-only revision history entries, all submissions together
+  const history = [];
+  // Idempotency records by key
+  const idempotencyKeys = new Map();
+  // Google Sheets sync outbox jobs by submission id
+  const syncJobs = new Map();
+  // Company lookup cache entries by tax code
+  const lookupCache = new Map();
+
+  return {
+    name: 'memory',
+
+    init: async () => {},
+
+    create: async (submission) => {
+      submissions.push({ ...submission });
+      return submission;
+    },
+
+    get: async (id) => {
+      const found = submissions.find((submission) => submission.id === id);
+      return found ? { ...found } : null;
+    },
+
+    update: async (id, submission) => {
+      const index = submissions.findIndex((existing) => existing.id === id);
+      if (index === -1) {
+        return null;
+      }
+      submissions[index] = { ...submission, id };
+      return { ...submissions[index] };
+    },
+
+    remove: async (id) => {
+      const index = submissions.findIndex((existing) => existing.id === id);
+      if (index === -1) {
+        return false;
+      }
+      submissions.splice(index, 1);
+      return true;
+    },
+
+    list: async ({ page, limit } = {}) => paginate([...submissions].reverse(), { page, limit }),
+
+    findByInvoiceNumber: async (invoiceNumber) => {
+      const wanted = normalizeInvoiceNumber(invoiceNumber);
+      return submissions
+        .filter((submission) => normalizeInvoiceNumber(submission.invoiceNumber) === wanted)
+        .reverse()
+        .map((submission) => ({ ...submission }));
+    },
+
+    findByTaxCode: async (taxCode) => submissions
+      .filter((submission) => submission.taxCode === taxCode)
+      .reverse()
+      .map((submission) => ({ ...submission })),
+
+    claimIdempotencyKey: async (record) => {
+      const existing = idempotencyKeys.get(record.key);
+      if (existing && !isExpired(existing)) {
+        return { ...existing };
+      }
+      idempotencyKeys.set(record.key, { ...record });
+      return null;
+    },
+
+    saveIdempotencyKey: async (record) => {
+      idempotencyKeys.set(record.key, { ...record });
+      return record;
+    },
+
+    deleteIdempotencyKey: async (key) => idempotencyKeys.delete(key),
+
+    saveSyncJob: async (job) => {
+      syncJobs.set(job.submissionId, { ...job });
+      return job;
+    },
+
+    getSyncJob: async (submissionId) => {
+      const job = syncJobs.get(submissionId);
+      return job ? { ...job } : null;
+    },
+
+    listSyncJobs: async ({ status, page, limit } = {}) => {
+      const jobs = [...syncJobs.values()]
+        .filter((job) => !status || job.status === status)
+        .sort(byCreatedAt)
+        .reverse();
+      return paginate(jobs.map((job) => ({ ...job })), { page, limit });
+    },
+
+    listDueSyncJobs: async ({ now = Date.now(), limit = 10 } = {}) => [...syncJobs.values()]
+      .filter((job) => isDueSyncJob(job, now))
+      .sort(byCreatedAt)
+      .slice(0, limit)
+      .map((job) => ({ ...job })),
+
+    appendHistory: async (entry) => {
+      history.push({ ...entry });
+      return entry;
+    },
+
+    getHistory: async (submissionId) => history
+      .filter((entry) => entry.submissionId === submissionId)
+      .map((entry) => ({ ...entry })),
+
+    getLookupCache: async (taxCode) => {
+      const entry = lookupCache.get(taxCode);
+      return entry && !isExpired(entry) ? { ...entry } : null;
+    },
+
+    saveLookupCache: async (entry) => {
+      lookupCache.set(entry.taxCode, { ...entry });
+      return entry;
+    }
+  };
+};
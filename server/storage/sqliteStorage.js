@@ -0,0 +1,254 @@
+/**
+ * Embedded SQLite storage backend (better-sqlite3).
+ * The driver is an optional dependency and is only loaded when this backend is selected.
+ */
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { buildPagination, DEFAULT_PAGE_SIZE } from './helpers.js';
+import { normalizeInvoiceNumber } from '../validation.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS submissions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    tax_code TEXT,
+    invoice_number TEXT, -- normalized with normalizeInvoiceNumber()
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_submissions_invoice ON submissions (invoice_number);
+  CREATE INDEX IF NOT EXISTS idx_submissions_tax_code ON submissions (tax_code);
+  CREATE TABLE IF NOT EXISTS submission_history (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    submission_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_history_submission ON submission_history (submission_id);
+  CREATE TABLE IF NOT EXISTS sync_jobs (
+    submission_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    next_attempt_at TEXT,
+    lease_until TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs (status);
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS lookup_cache (
+    tax_code TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+const INSERT_SUBMISSION = 'INSERT INTO submissions (id, tax_code, invoice_number, created_at, data) VALUES (?, ?, ?, ?, ?)';
+
+const submissionParams = (submission) => [
+  submission.id,
+  submission.taxCode || '',
+  normalizeInvoiceNumber(submission.invoiceNumber),
+  submission.createdAt || new Date().toISOString(),
+  JSON.stringify(submission)
+];
+
+// PRAGMA user_version once the old tax-info.json has been imported
+const LEGACY_IMPORTED_VERSION = 1;
+
+// Import the old tax-info.json (single record or JSON array) the first time the database is opened,
+// like the file backend does. user_version records the import, so deleted records do not come back
+const migrateLegacyFile = (db, legacyFilePath) => {
+  if (db.pragma('user_version', { simple: true }) >= LEGACY_IMPORTED_VERSION) {
+    return;
+  }
+
+  if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+    const data = JSON.parse(fs.readFileSync(legacyFilePath, 'utf8'));
+    const records = (Array.isArray(data) ? data : [data])
+      .filter(Boolean)
+      .map((record) => ({ id: record.id || randomUUID(), ...record }));
+
+    const insert = db.prepare('INSERT OR IGNORE INTO submissions (id, tax_code, invoice_number, created_at, data) VALUES (?, ?, ?, ?, ?)');
+    db.transaction(() => records.forEach((record) => insert.run(...submissionParams(record))))();
+    console.log(`[Storage:sqlite] Migrated ${records.length} record(s) from ${legacyFilePath}`);
+  }
+  db.pragma(`user_version = ${LEGACY_IMPORTED_VERSION}`);
+};
+
+const loadDriver = async () => {
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return Database;
+  } catch (error) {
+    throw new Error(`SQLite storage requires the better-sqlite3 package (${error.message})`);
+  }
+};
+
+export const createSqliteStorage = ({ filePath, legacyFilePath } = {}) => {
+  if (!filePath) {
+    throw new Error('SQLite storage requires a filePath');
+  }
+
+  let db = null;
+
+  const requireDb = () => {
+    if (!db) {
+      throw new Error('SQLite storage used before init()');
+    }
+    return db;
+  };
+
+  return {
+    name: 'sqlite',
+
+    init: async () => {
+      const Database = await loadDriver();
+      if (filePath !== ':memory:') {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      }
+      db = new Database(filePath);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+      migrateLegacyFile(db, legacyFilePath);
+    },
+
+    create: async (submission) => {
+      requireDb().prepare(INSERT_SUBMISSION).run(...submissionParams(submission));
+      return submission;
+    },
+
+    get: async (id) => {
+      const row = requireDb().prepare('SELECT data FROM submissions WHERE id = ?').get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    update: async (id, submission) => {
+      const updated = { ...submission, id };
+      const { changes } = requireDb()
+        .prepare('UPDATE submissions SET tax_code = ?, invoice_number = ?, data = ? WHERE id = ?')
+        .run(updated.taxCode || '', normalizeInvoiceNumber(updated.invoiceNumber), JSON.stringify(updated), id);
+      return changes > 0 ? updated : null;
+    },
+
+    remove: async (id) => {
+      const { changes } = requireDb().prepare('DELETE FROM submissions WHERE id = ?').run(id);
+      return changes > 0;
+    },
+
+    list: async ({ page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+      const { total } = requireDb().prepare('SELECT COUNT(*) AS total FROM submissions').get();
+      const rows = requireDb()
+        .prepare('SELECT data FROM submissions ORDER BY seq DESC LIMIT ? OFFSET ?')
+        .all(limit, (page - 1) * limit);
+
+      return {
+        items: rows.map((row) => JSON.parse(row.data)),
+        pagination: buildPagination({ page, limit, total })
+      };
+    },
+
+    findByInvoiceNumber: async (invoiceNumber) => requireDb()
+      .prepare('SELECT data FROM submissions WHERE invoice_number = ? ORDER BY seq DESC')
+      .all(normalizeInvoiceNumber(invoiceNumber))
+      .map((row) => JSON.parse(row.data)),
+
+    findByTaxCode: async (taxCode) => requireDb()
+      .prepare('SELECT data FROM submissions WHERE tax_code = ? ORDER BY seq DESC')
+      .all(taxCode)
+      .map((row) => JSON.parse(row.data)),
+
+    claimIdempotencyKey: async (record) => {
+      const db = requireDb();
+      db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(new Date().toISOString());
+      const { changes } = db
+        .prepare('INSERT OR IGNORE INTO idempotency_keys (key, expires_at, data) VALUES (?, ?, ?)')
+        .run(record.key, record.expiresAt, JSON.stringify(record));
+      if (changes > 0) {
+        return null;
+      }
+      const row = db.prepare('SELECT data FROM idempotency_keys WHERE key = ?').get(record.key);
+      return JSON.parse(row.data);
+    },
+
+    saveIdempotencyKey: async (record) => {
+      requireDb()
+        .prepare('INSERT OR REPLACE INTO idempotency_keys (key, expires_at, data) VALUES (?, ?, ?)')
+        .run(record.key, record.expiresAt, JSON.stringify(record));
+      return record;
+    },
+
+    deleteIdempotencyKey: async (key) => {
+      const { changes } = requireDb().prepare('DELETE FROM idempotency_keys WHERE key = ?').run(key);
+      return changes > 0;
+    },
+
+    saveSyncJob: async (job) => {
+      requireDb()
+        .prepare(`INSERT OR REPLACE INTO sync_jobs (submission_id, status, created_at, next_attempt_at, lease_until, data)
+          VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(job.submissionId, job.status, job.createdAt, job.nextAttemptAt || null, job.leaseUntil || null, JSON.stringify(job));
+      return job;
+    },
+
+    getSyncJob: async (submissionId) => {
+      const row = requireDb().prepare('SELECT data FROM sync_jobs WHERE submission_id = ?').get(submissionId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    listSyncJobs: async ({ status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+      const where = status ? 'WHERE status = ?' : '';
+      const params = status ? [status] : [];
+      const { total } = requireDb().prepare(`SELECT COUNT(*) AS total FROM sync_jobs ${where}`).get(...params);
+      const rows = requireDb()
+        .prepare(`SELECT data FROM sync_jobs ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, (page - 1) * limit);
+
+      return {
+        items: rows.map((row) => JSON.parse(row.data)),
+        pagination: buildPagination({ page, limit, total })
+      };
+    },
+
+    listDueSyncJobs: async ({ now = Date.now(), limit = 10 } = {}) => {
+      const nowIso = new Date(now).toISOString();
+      return requireDb()
+        .prepare(`SELECT data FROM sync_jobs
+          WHERE (status = 'pending' AND next_attempt_at <= ?) OR (status = 'processing' AND lease_until <= ?)
+          ORDER BY created_at ASC LIMIT ?`)
+        .all(nowIso, nowIso, limit)
+        .map((row) => JSON.parse(row.data));
+    },
+
+    appendHistory: async (entry) => {
+      requireDb()
+        .prepare('INSERT INTO submission_history (id, submission_id, data) VALUES (?, ?, ?)')
+        .run(entry.id, entry.submissionId, JSON.stringify(entry));
+      return entry;
+    },
+
+    getHistory: async (submissionId) => requireDb()
+      .prepare('SELECT data FROM submission_history WHERE submission_id = ? ORDER BY seq ASC')
+      .all(submissionId)
+      .map((row) => JSON.parse(row.data)),
+
+    getLookupCache: async (taxCode) => {
+      const row = requireDb()
+        .prepare('SELECT data FROM lookup_cache WHERE tax_code = ? AND expires_at > ?')
+        .get(taxCode, new Date().toISOString());
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    saveLookupCache: async (entry) => {
+      const db = requireDb();
+      db.prepare('DELETE FROM lookup_cache WHERE expires_at <= ?').run(new Date().toISOString());
+      db.prepare('INSERT OR REPLACE INTO lookup_cache (tax_code, expires_at, data) VALUES (?, ?, ?)')
+        .run(entry.taxCode, entry.expiresAt, JSON.stringify(entry));
+      return entry;
+    }
+  };
+};
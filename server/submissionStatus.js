@@ -0,0 +1,119 @@
+/**
+ * Processing status of a submission. Accountants own it in the Google Sheet.
+ *
+ * The sheet's "Trạng thái" column (Chờ xử lý / Đã xuất / Từ chối) is mirrored as
+ * status = pending | issued | rejected. When an accountant changes it, the Apps Script's
+ * onStatusEdit trigger posts a signed callback to /api/sheets/status-callback. The status is
+ * then stored here and the customer is notified.
+ *
+ * Customers are notified through STATUS_WEBHOOK_URL (a mail / SMS service, Zapier, n8n, ...):
+ *   POST { event: 'submission.status', status, previousStatus, changedAt, submission: { id, email, phone, ... } }
+ * Only issued and rejected are sent. Without STATUS_WEBHOOK_URL nobody is notified.
+ */
+import { isValidSubmissionId } from './validation.js';
+
+export const SUBMISSION_STATUSES = ['pending', 'issued', 'rejected'];
+export const DEFAULT_SUBMISSION_STATUS = 'pending';
+
+const NOTIFIED_STATUSES = ['issued', 'rejected'];
+const NOTIFY_TIMEOUT_MS = 10000;
+
+const getWebhookUrl = () => process.env.STATUS_WEBHOOK_URL || '';
+
+/**
+ * Tell the customer about a status change through STATUS_WEBHOOK_URL.
+ * Never throws - returns { sent, message }.
+ */
+export const notifyCustomer = async ({ submission, status, previousStatus, changedAt }) => {
+  const url = getWebhookUrl();
+  if (!url) {
+    return { sent: false, message: 'STATUS_WEBHOOK_URL not configured' };
+  }
+  if (!submission.email && !submission.phone) {
+    return { sent: false, message: 'Submission has no email or phone' };
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), NOTIFY_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'submission.status',
+        status,
+        previousStatus,
+        changedAt,
+        submission: {
+          id: submission.id,
+          email: submission.email || '',
+          phone: submission.phone || '',
+          companyName: submission.companyName || '',
+          taxCode: submission.taxCode || '',
+          invoiceNumber: submission.invoiceNumber || ''
+        }
+      }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      return { sent: false, message: `Webhook responded with HTTP ${response.status}` };
+    }
+    return { sent: true, message: 'Customer notified' };
+  } catch (error) {
+    return { sent: false, message: error.name === 'AbortError' ? 'Webhook timed out' : error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * @param storage        storage backend (server/storage)
+ * @param recordHistory  async (entry) => void - audit trail writer
+ * @param notify         async ({ submission, status, previousStatus, changedAt }) => { sent, message }
+ */
+export const createStatusUpdater = ({ storage, recordHistory = async () => {}, notify = notifyCustomer }) => {
+  /**
+   * Store a status reported by the sheet: { id, status, editedBy }.
+   * Returns { success: true, changed, submission, notification } or
+   * { success: false, code: 'INVALID' | 'NOT_FOUND', message }.
+   */
+  const apply = async ({ id, status, editedBy } = {}) => {
+    if (!isValidSubmissionId(id)) {
+      return { success: false, code: 'INVALID', message: 'Mã bản ghi không hợp lệ' };
+    }
+    if (!SUBMISSION_STATUSES.includes(status)) {
+      return { success: false, code: 'INVALID', message: `status phải là một trong: ${SUBMISSION_STATUSES.join(', ')}` };
+    }
+
+    const existing = await storage.get(id);
+    if (!existing) {
+      return { success: false, code: 'NOT_FOUND', message: 'Không tìm thấy thông tin mã số thuế' };
+    }
+
+    const previousStatus = existing.status || DEFAULT_SUBMISSION_STATUS;
+    if (previousStatus === status) {
+      return { success: true, changed: false, submission: existing, notification: null };
+    }
+
+    const changedAt = new Date().toISOString();
+    const updated = await storage.update(id, { ...existing, status, statusUpdatedAt: changedAt, updatedAt: changedAt });
+    await recordHistory({
+      submissionId: id,
+      action: 'status',
+      before: existing,
+      after: updated,
+      actor: { type: 'admin', name: editedBy ? String(editedBy).substring(0, 100) : 'google-sheets' }
+    });
+
+    const notification = NOTIFIED_STATUSES.includes(status)
+      ? await notify({ submission: updated, status, previousStatus, changedAt })
+      : null;
+    if (notification && !notification.sent) {
+      console.log(`[Status] Customer of ${id} not notified: ${notification.message}`);
+    }
+
+    return { success: true, changed: true, submission: updated, notification };
+  };
+
+  return { apply };
+};
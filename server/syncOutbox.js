@@ -0,0 +1,304 @@
+/**
+ * Durable outbox for Google Sheets sync.
+ *
+ * POST /api/tax-info only stores the submission and enqueues a job; a worker drains the
+ * outbox in the background with exponential backoff. Jobs live in the storage backend,
+ * so pending work survives restarts. After SHEETS_SYNC_MAX_ATTEMPTS failures (or a
+ * non-retryable error such as 401/403/404) a job moves to the "dead" state until an
+ * operator replays it (POST /api/admin/sync/:id/retry, POST /api/admin/sync/retry-failed).
+ *
+ * Job states: pending -> processing -> synced | pending (retry later) | dead | cancelled
+ *
+ * Every enqueue bumps the job's version. An attempt whose job was enqueued again while it ran
+ * (the submission was updated meanwhile) does not save its outcome - the newer version is synced.
+ *
+ * Inline mode has no worker: each request makes one attempt, and retries are only made when
+ * something drains the outbox - GET /api/cron/sheets-sync, called by the Vercel cron in vercel.json.
+ *
+ * Configuration (environment):
+ *   SHEETS_SYNC_MODE           background (default) | inline (default on Vercel: one attempt before responding)
+ *   SHEETS_SYNC_MAX_ATTEMPTS   attempts before a job is dead-lettered (default: 8)
+ *   SHEETS_SYNC_BASE_DELAY_MS  delay after the first failure, doubled on each retry (default: 10000)
+ *   SHEETS_SYNC_MAX_DELAY_MS   upper bound for the retry delay (default: 3600000)
+ *   SHEETS_SYNC_INTERVAL_MS    how often the background worker polls the outbox (default: 5000)
+ *   SHEETS_BATCH_SIZE          records sent to Apps Script per request (default: 20, max: 500)
+ *   SHEETS_BATCH_WINDOW_MS     how long a record may wait for others to share its request
+ *                              (default: 2000, 0 in inline mode)
+ */
+import { systemActor } from './history.js';
+
+export const SYNC_STATUSES = ['pending', 'processing', 'synced', 'dead', 'cancelled'];
+
+const LEASE_MS = 2 * 60 * 1000;
+const DRAIN_BATCH_SIZE = 10;
+// google-apps-script.js refuses larger batches (MAX_BATCH_SIZE)
+const MAX_SHEETS_BATCH_SIZE = 500;
+
+const readInt = (name, fallback, min = 1) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+};
+
+export const getSyncConfig = () => {
+  const mode = process.env.SHEETS_SYNC_MODE || (process.env.VERCEL ? 'inline' : 'background');
+  return {
+    mode,
+    maxAttempts: readInt('SHEETS_SYNC_MAX_ATTEMPTS', 8),
+    baseDelayMs: readInt('SHEETS_SYNC_BASE_DELAY_MS', 10000),
+    maxDelayMs: readInt('SHEETS_SYNC_MAX_DELAY_MS', 60 * 60 * 1000),
+    intervalMs: readInt('SHEETS_SYNC_INTERVAL_MS', 5000),
+    batchSize: Math.min(readInt('SHEETS_BATCH_SIZE', 20), MAX_SHEETS_BATCH_SIZE),
+    // Inline requests wait for their own sync, so they do not wait for company by default
+    batchWindowMs: readInt('SHEETS_BATCH_WINDOW_MS', mode === 'inline' ? 0 : 2000, 0)
+  };
+};
+
+// Exponential backoff with ±20% jitter so retries after an outage do not arrive all at once
+export const getRetryDelay = (attempts, { baseDelayMs, maxDelayMs }) => {
+  const delay = Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * @param storage       storage backend (server/storage)
+ * @param sync          async (submission) => { success, message, retryable } - appendTaxInfoToSheet,
+ *                      or a sheet batcher's add() (server/sheetBatcher.js)
+ * @param isConfigured  () => boolean - the worker idles while Google Sheets is not configured
+ * @param recordHistory optional async (entry) => void - audit trail writer
+ */
+export const createSyncOutbox = ({ storage, sync, isConfigured = () => true, recordHistory = async () => {}, config = getSyncConfig() }) => {
+  // Jobs being processed by this process - never run the same job twice at once
+  const inFlight = new Set();
+  let timer = null;
+  let draining = false;
+
+  const saveJob = (job, changes) => storage.saveSyncJob({
+    ...job,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+
+  // Create (or reset) the outbox job of a submission
+  const enqueue = async (submission) => {
+    const now = new Date().toISOString();
+    const existing = await storage.getSyncJob(submission.id);
+
+    return saveJob(existing || { submissionId: submission.id, createdAt: now }, {
+      version: (existing?.version || 0) + 1,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      leaseUntil: null,
+      lastError: existing?.lastError || null
+    });
+  };
+
+  // Save the outcome of an attempt. Returns null instead when the job was enqueued again
+  // while the attempt ran - the outcome is stale and must not overwrite the newer job.
+  const saveOutcome = async (current, changes) => {
+    const latest = await storage.getSyncJob(current.submissionId);
+    if (latest && (latest.version || 0) !== (current.version || 0)) {
+      console.log(`[Sync Outbox] ${current.submissionId} was queued again during the sync - syncing the newer version`);
+      return null;
+    }
+    return saveJob(current, changes);
+  };
+
+  // Make one sync attempt for a job and record the outcome (null when the outcome is stale)
+  const attemptJob = async (job) => {
+    // The listed job may be outdated by now - start from the stored one
+    let current = await saveJob(await storage.getSyncJob(job.submissionId) || job, {
+      status: 'processing',
+      leaseUntil: new Date(Date.now() + LEASE_MS).toISOString()
+    });
+
+    const submission = await storage.get(job.submissionId);
+    if (!submission) {
+      console.log(`[Sync Outbox] Submission ${job.submissionId} no longer exists - cancelling sync`);
+      return saveOutcome(current, { status: 'cancelled', leaseUntil: null, lastError: 'Submission deleted' });
+    }
+
+    const attempts = (current.attempts || 0) + 1;
+    let result;
+    try {
+      result = await sync(submission);
+    } catch (error) {
+      result = { success: false, message: error.message || 'Unknown error occurred', retryable: true };
+    }
+
+    const attemptedAt = new Date().toISOString();
+
+    if (result.success) {
+      current = await saveOutcome(current, {
+        status: 'synced',
+        sheetAction: result.action || null,
+        sheetRow: result.row || null,
+        attempts,
+        lastAttemptAt: attemptedAt,
+        syncedAt: attemptedAt,
+        leaseUntil: null,
+        lastError: null
+      });
+      if (!current) {
+        return null;
+      }
+      console.log(`✅ [Sync Outbox] Synced ${job.submissionId} (attempt ${attempts}, row ${result.action || 'inserted'})`);
+      await recordHistory({
+        submissionId: job.submissionId,
+        action: 'sheets-sync',
+        actor: systemActor('sheets-sync')
+      });
+      return current;
+    }
+
+    if (result.retryable === false || attempts >= config.maxAttempts) {
+      console.error(`❌ [Sync Outbox] Giving up on ${job.submissionId} after ${attempts} attempt(s): ${result.message}`);
+      return saveOutcome(current, {
+        status: 'dead',
+        attempts,
+        lastAttemptAt: attemptedAt,
+        leaseUntil: null,
+        lastError: result.message
+      });
+    }
+
+    const delay = getRetryDelay(attempts, config);
+    console.log(`[Sync Outbox] Attempt ${attempts}/${config.maxAttempts} for ${job.submissionId} failed, retrying in ${Math.round(delay / 1000)}s: ${result.message}`);
+    return saveOutcome(current, {
+      status: 'pending',
+      attempts,
+      lastAttemptAt: attemptedAt,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      leaseUntil: null,
+      lastError: result.message
+    });
+  };
+
+  const processJob = async (job) => {
+    if (inFlight.has(job.submissionId)) {
+      return job;
+    }
+    inFlight.add(job.submissionId);
+
+    let outcome;
+    try {
+      outcome = await attemptJob(job);
+    } finally {
+      inFlight.delete(job.submissionId);
+    }
+    return outcome || processJob(await storage.getSyncJob(job.submissionId));
+  };
+
+  // Process every job that is due. Jobs of a page run concurrently so that a batching
+  // sync function can send them to Apps Script in one request.
+  // maxDurationMs stops taking new pages after that long (serverless time limits).
+  // Returns the outcomes { processed, synced, pending, dead, cancelled }, or null when
+  // another drain is running or Google Sheets is not configured.
+  const drain = async ({ maxDurationMs = Infinity } = {}) => {
+    if (draining || !isConfigured()) {
+      return null;
+    }
+    draining = true;
+
+    const startedAt = Date.now();
+    const summary = { processed: 0, synced: 0, pending: 0, dead: 0, cancelled: 0 };
+    try {
+      const limit = Math.max(config.batchSize || 1, 1);
+      let jobs = await storage.listDueSyncJobs({ limit });
+      while (jobs.length > 0) {
+        const outcomes = await Promise.all(jobs.map(processJob));
+        outcomes.forEach((job) => {
+          summary.processed++;
+          if (job && job.status in summary) {
+            summary[job.status]++;
+          }
+        });
+        if (Date.now() - startedAt >= maxDurationMs) {
+          break;
+        }
+        jobs = (await storage.listDueSyncJobs({ limit }))
+          .filter((job) => !inFlight.has(job.submissionId));
+      }
+    } catch (error) {
+      console.error('❌ [Sync Outbox] Error while draining outbox:', error.message);
+    } finally {
+      draining = false;
+    }
+    return summary;
+  };
+
+  // Attempt a submission's job right away (inline mode and manual replays)
+  const syncNow = async (submissionId) => {
+    const job = await storage.getSyncJob(submissionId);
+    if (!job || !isConfigured()) {
+      return job;
+    }
+    return processJob(job);
+  };
+
+  // Reset a submission's job (creating it if needed) and attempt it right away
+  const retry = async (submission) => {
+    await enqueue(submission);
+    return syncNow(submission.id);
+  };
+
+  // Move every dead-lettered job back to pending; the worker (or a drain) picks them up
+  const requeueFailed = async () => {
+    // Snapshot the dead jobs first - the worker may mark requeued jobs dead again meanwhile,
+    // and re-reading the dead list until it is empty would then never finish
+    const ids = new Set();
+    for (let page = 1; ; page++) {
+      const { items, pagination } = await storage.listSyncJobs({ status: 'dead', page, limit: DRAIN_BATCH_SIZE });
+      items.forEach((job) => ids.add(job.submissionId));
+      if (items.length === 0 || page >= pagination.totalPages) {
+        break;
+      }
+    }
+
+    for (const id of ids) {
+      await enqueue({ id });
+    }
+    return ids.size;
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+    console.log(`[Sync Outbox] Worker started (polling every ${config.intervalMs}ms)`);
+    timer = setInterval(drain, config.intervalMs);
+    // Do not keep the process alive just for the worker
+    timer.unref?.();
+    drain();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { enqueue, processJob, drain, syncNow, retry, requeueFailed, start, stop, config };
+};
+
+// Shape of the googleSheetsSync field in API responses
+export const describeSyncJob = (job, { configured = true } = {}) => {
+  if (!job) {
+    return { success: false, status: 'unknown', message: 'Not attempted' };
+  }
+  const messages = {
+    pending: configured ? 'Queued for Google Sheets sync' : 'Google Sheets not configured',
+    processing: 'Google Sheets sync in progress',
+    synced: job.sheetAction === 'updated' ? 'Row updated in Google Sheets' : 'Data saved to Google Sheets',
+    dead: `Google Sheets sync failed: ${job.lastError}`,
+    cancelled: 'Google Sheets sync cancelled'
+  };
+  return {
+    success: job.status === 'synced',
+    status: job.status,
+    ...(job.status === 'synced' && job.sheetAction ? { action: job.sheetAction } : {}),
+    attempts: job.attempts || 0,
+    message: job.status === 'pending' && job.lastError && configured
+      ? `Retry scheduled: ${job.lastError}`
+      : messages[job.status] || job.status
+  };
+};
@@ -0,0 +1,70 @@
+/**
+ * Vietnamese tax code (mã số thuế, MST) validation.
+ * Plain ES module without Node imports - shared by the form (src/pages/TaxInfo.jsx) and the server.
+ *
+ * An MST is the 9-digit number of the taxpayer followed by a check digit. Branches and dependent
+ * units add a 3-digit suffix (001-999), written 0316794479-001 or as 13 digits.
+ *   check digit = 10 - (N1*31 + N2*29 + N3*23 + N4*19 + N5*17 + N6*13 + N7*7 + N8*5 + N9*3) mod 11
+ * A remainder of 0 gives 10, which no valid code has.
+ *
+ * Canonical form: digits only - 10 for a head office, 13 for a branch (as the Google Sheet keeps it).
+ * google-apps-script.js highlights rows with the same check digit rule.
+ */
+
+const CHECK_DIGIT_WEIGHTS = [31, 29, 23, 19, 17, 13, 7, 5, 3];
+
+// Error codes, used by the form to show its own (bilingual) messages
+export const TAX_CODE_ERRORS = {
+  REQUIRED: 'Mã số thuế là bắt buộc',
+  LENGTH: 'Mã số thuế phải có 10 chữ số, hoặc 13 chữ số nếu là chi nhánh (0316794479-001)',
+  CHECK_DIGIT: 'Mã số thuế không đúng chữ số kiểm tra (chữ số thứ 10), vui lòng kiểm tra lại',
+  BRANCH: 'Mã chi nhánh (3 số sau dấu -) phải từ 001 đến 999'
+};
+
+const invalid = (code) => ({ valid: false, code, message: TAX_CODE_ERRORS[code] });
+
+// True when the 10th digit matches the check digit of the first 9
+export const hasValidCheckDigit = (digits) => {
+  const sum = CHECK_DIGIT_WEIGHTS.reduce((total, weight, index) => total + Number(digits[index]) * weight, 0);
+  return 10 - (sum % 11) === Number(digits[9]);
+};
+
+/**
+ * Validate a tax code as typed: 0316794479, 0316794479-001 or 0316794479001.
+ * Spaces and dots pasted with it are ignored.
+ * Returns { valid: true, taxCode, headOffice, branch } with taxCode in canonical form,
+ * or { valid: false, code: 'REQUIRED' | 'LENGTH' | 'CHECK_DIGIT' | 'BRANCH', message }.
+ */
+export const validateTaxCode = (value) => {
+  const text = String(value ?? '').replace(/[\s.]/g, '');
+  if (!text) {
+    return invalid('REQUIRED');
+  }
+
+  const dashed = text.match(/^(\d{10})-(.*)$/);
+  let headOffice;
+  let branch = null;
+  if (dashed) {
+    [, headOffice, branch] = dashed;
+  } else if (/^\d{10}$|^\d{13}$/.test(text)) {
+    headOffice = text.slice(0, 10);
+    branch = text.length === 13 ? text.slice(10) : null;
+  } else {
+    return invalid('LENGTH');
+  }
+
+  if (!hasValidCheckDigit(headOffice)) {
+    return invalid('CHECK_DIGIT');
+  }
+  if (branch !== null && (!/^\d{3}$/.test(branch) || branch === '000')) {
+    return invalid('BRANCH');
+  }
+
+  return { valid: true, taxCode: headOffice + (branch || ''), headOffice, branch };
+};
+
+// Canonical form of a valid tax code; anything else is returned trimmed
+export const normalizeTaxCode = (value) => {
+  const result = validateTaxCode(value);
+  return result.valid ? result.taxCode : String(value ?? '').trim();
+};
@@ -0,0 +1,326 @@
+/**
+ * Test google-apps-script.js trong Apps Script emulator (không cần Google Sheet thật)
+ * Chạy: npm test
+ *
+ * Emulator lưu số như Sheets (0316794479 -> 316794479), nên các lỗi chỉ xảy ra với sheet thật
+ * (mất số 0 đầu, tô màu sai) cũng hiện ra ở đây.
+ * Các test "lỗi Apps Script" và "outbox" chạy client thật (googleSheets.js) qua HTTP với từng kiểu lỗi giả lập.
+ */
+
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { test } from 'node:test';
+import { createAppsScriptEmulator, startAppsScriptEmulator } from './appsScriptEmulator.js';
+import { appendTaxInfoBatchToSheet, appendTaxInfoToSheet, signPayload } from './googleSheets.js';
+import { createMemoryStorage } from './storage/memoryStorage.js';
+import { createSyncOutbox } from './syncOutbox.js';
+
+const SECRET = 'test-secret';
+
+// Cột theo DEFAULT_COLUMNS của script
+const COLUMN = { createdAt: 1, invoiceNumber: 2, taxCode: 3, companyName: 4, email: 6, phone: 7, status: 8, id: 9 };
+
+const RED = '#fecaca';
+const YELLOW = '#fde68a';
+
+const createEmulator = (properties = {}) => {
+  const emulator = createAppsScriptEmulator({ properties: { SHARED_SECRET: SECRET, ...properties } });
+  const post = (data) => JSON.parse(emulator.doPost({
+    postData: { contents: JSON.stringify(signPayload(data, SECRET)) }
+  }).body);
+  const get = (query) => JSON.parse(emulator.doGet({
+    parameter: Object.fromEntries(Object.entries(signPayload(query, SECRET)).map(([key, value]) => [key, String(value)]))
+  }).body);
+  const sheet = (name) => emulator.spreadsheets.get('emulator').getSheetByName(name);
+  return { emulator, post, get, sheet };
+};
+
+// Emulator HTTP trên cổng ngẫu nhiên, client trỏ vào nó qua GOOGLE_APPS_SCRIPT_URL; tự tắt khi test xong
+const serveEmulator = async (t, faults) => {
+  const server = startAppsScriptEmulator({ port: 0, faults, properties: { SHARED_SECRET: SECRET } });
+  await once(server, 'listening');
+  // Client và emulator log từng request
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const env = { GOOGLE_APPS_SCRIPT_URL: process.env.GOOGLE_APPS_SCRIPT_URL, GOOGLE_APPS_SCRIPT_SECRET: process.env.GOOGLE_APPS_SCRIPT_SECRET };
+  process.env.GOOGLE_APPS_SCRIPT_URL = `http://127.0.0.1:${server.address().port}/exec`;
+  process.env.GOOGLE_APPS_SCRIPT_SECRET = SECRET;
+
+  t.after(() => {
+    Object.entries(env).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    server.closeAllConnections();
+    server.close();
+  });
+  return { server, rows: () => server.emulator.spreadsheets.get('emulator').getSheetByName('Sheet1')?.rows || [] };
+};
+
+// Outbox gửi bằng client thật; syncNow thử lại ngay, không chờ backoff
+const createOutbox = async (submission) => {
+  const storage = createMemoryStorage();
+  await storage.create(submission);
+  const outbox = createSyncOutbox({
+    storage,
+    sync: appendTaxInfoToSheet,
+    config: { mode: 'inline', maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 1000, intervalMs: 1000, batchSize: 1, batchWindowMs: 0 }
+  });
+  await outbox.enqueue(submission);
+  return outbox;
+};
+
+const record = (overrides = {}) => ({
+  id: 'a6f1c2de-0000-4000-8000-000000000001',
+  createdAt: '2026-10-05T10:00:00.000Z',
+  invoiceNumber: 'HD001',
+  taxCode: '0316794479',
+  companyName: 'Công ty A',
+  email: 'a@example.com',
+  phone: '0901234567',
+  status: 'pending',
+  ...overrides
+});
+
+test('upsert: cùng ID thì cập nhật dòng cũ, không thêm dòng mới', () => {
+  const { post, get, sheet } = createEmulator();
+
+  const inserted = post(record());
+  assert.equal(inserted.success, true);
+  assert.equal(inserted.action, 'inserted');
+  assert.equal(inserted.row, 2);
+
+  const updated = post(record({ companyName: 'Công ty A (đã sửa)' }));
+  assert.equal(updated.action, 'updated');
+  assert.equal(updated.row, 2);
+
+  const rows = sheet('Sheet1').rows;
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1][COLUMN.companyName - 1], 'Công ty A (đã sửa)');
+  // Sheets lưu mã số thuế dạng số, mất số 0 đầu
+  assert.equal(rows[1][COLUMN.taxCode - 1], 316794479);
+
+  const query = get({ taxCode: '0316794479' });
+  assert.equal(query.success, true);
+  assert.equal(query.rows.length, 1);
+  assert.equal(query.rows[0].taxCode, '0316794479');
+});
+
+test('upsert: cập nhật chỉ ghi các cột đã cấu hình, giữ công thức ở cột kế toán tự thêm', () => {
+  const { post, sheet } = createEmulator();
+  post(record());
+
+  const extraColumn = COLUMN.id + 1;
+  sheet('Sheet1').getRange(1, extraColumn).setValue('Độ dài tên');
+  sheet('Sheet1').getRange(2, extraColumn).setValue('=LEN(D2)');
+
+  const updated = post(record({ companyName: 'Công ty AB' }));
+  assert.equal(updated.action, 'updated');
+
+  const cell = sheet('Sheet1').getRange(2, extraColumn);
+  assert.equal(cell.getFormula(), '=LEN(D2)');
+  assert.equal(cell.getValue(), 'Công ty AB'.length);
+});
+
+test('upsert: batch ghi dòng mới một lần, ID lặp lại trong batch chỉ tạo một dòng', () => {
+  const { post, sheet } = createEmulator();
+
+  const response = post({
+    records: [
+      record(),
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000002', invoiceNumber: 'HD002' }),
+      record({ companyName: 'Công ty A mới nhất' })
+    ]
+  });
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.map((result) => result.row), [2, 3, 2]);
+  assert.equal(sheet('Sheet1').rows.length, 3);
+  assert.equal(sheet('Sheet1').rows[1][COLUMN.companyName - 1], 'Công ty A mới nhất');
+});
+
+test('highlight: tô đỏ mã số thuế sai chữ số kiểm tra, tô vàng cặp mã số thuế + số hóa đơn trùng', () => {
+  const { emulator, post } = createEmulator();
+
+  post({
+    records: [
+      record(),
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000002', taxCode: '0316794478', invoiceNumber: 'HD002' }),
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000003' }),
+      // Mã chi nhánh 13 số được Sheets lưu thành số 12 chữ số (316794479001)
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000004', taxCode: '0316794479001', invoiceNumber: 'HD004' }),
+      // Mã gõ thiếu 9 số (Sheets lưu thành số 31679447), mã không phải số, mã chi nhánh có dấu -
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000005', taxCode: '031679447', invoiceNumber: 'HD005' }),
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000006', taxCode: 'MST', invoiceNumber: 'HD006' }),
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000007', taxCode: '0316794479-001', invoiceNumber: 'HD007' })
+    ]
+  });
+  const highlight = (row) => emulator.getHighlight({ sheet: 'Sheet1', row, column: COLUMN.taxCode });
+
+  assert.equal(highlight(2), YELLOW);
+  assert.equal(highlight(3), RED);
+  assert.equal(highlight(4), YELLOW);
+  // Mã chi nhánh hợp lệ không bị tô đỏ, mã sai độ dài bị tô đỏ, dòng trống không bị tô
+  assert.equal(highlight(5), null);
+  assert.equal(highlight(6), RED);
+  assert.equal(highlight(7), RED);
+  assert.equal(highlight(8), null);
+  assert.equal(highlight(9), null);
+});
+
+test('chia tháng: ghi vào tab yyyy-MM theo createdAt, tạo tab từ tab mẫu', () => {
+  const { emulator, post, sheet } = createEmulator({ MONTHLY_SHEETS: 'true' });
+
+  const response = post({
+    records: [
+      record(),
+      // 31/3 18:00 UTC là 1/4 theo giờ Việt Nam
+      record({ id: 'a6f1c2de-0000-4000-8000-000000000002', invoiceNumber: 'HD002', createdAt: '2026-03-31T18:00:00.000Z' })
+    ]
+  });
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.map((result) => result.sheet), ['2026-10', '2026-04']);
+
+  assert.equal(sheet('2026-10').rows.length, 2);
+  assert.equal(sheet('2026-04').rows.length, 2);
+  assert.equal(sheet('Template').isSheetHidden(), true);
+  assert.equal(emulator.getHighlight({ sheet: '2026-04', row: 2, column: COLUMN.taxCode }), null);
+
+  // Cập nhật cùng ID ghi lại vào tab tháng đó
+  const updated = post(record({ companyName: 'Công ty A (đã sửa)' }));
+  assert.equal(updated.action, 'updated');
+  assert.equal(sheet('2026-10').rows.length, 2);
+});
+
+test('chia tháng: bản ghi đã có ở tab cũ hoặc tab tháng đã lưu trữ được cập nhật tại chỗ', () => {
+  const { emulator, post, sheet } = createEmulator({ SHEET_NAME: 'Sheet1', ARCHIVE_SPREADSHEET_ID: 'archive' });
+  const oldRecord = record({ id: 'a6f1c2de-0000-4000-8000-000000000002', createdAt: '2020-01-15T10:00:00.000Z' });
+
+  // Dòng ghi trước khi bật chia tháng
+  post(record());
+  emulator.properties.MONTHLY_SHEETS = 'true';
+  post(oldRecord);
+  emulator.runFunction('archiveOldMonths');
+  const archived = () => emulator.spreadsheets.get('archive').getSheetByName('2020-01');
+  assert.equal(sheet('2020-01'), null);
+  assert.equal(archived().rows.length, 2);
+
+  const response = post({
+    records: [
+      record({ companyName: 'Công ty A (đã sửa)' }),
+      { ...oldRecord, companyName: 'Công ty cũ (đã sửa)' }
+    ]
+  });
+  assert.deepEqual(response.results.map(({ action, sheet: name, row }) => ({ action, name, row })), [
+    { action: 'updated', name: 'Sheet1', row: 2 },
+    { action: 'updated', name: '2020-01', row: 2 }
+  ]);
+  assert.equal(response.results[1].archived, true);
+
+  assert.equal(sheet('Sheet1').rows.length, 2);
+  assert.equal(sheet('Sheet1').rows[1][COLUMN.companyName - 1], 'Công ty A (đã sửa)');
+  assert.equal(archived().rows[1][COLUMN.companyName - 1], 'Công ty cũ (đã sửa)');
+  assert.equal(sheet('2026-10'), null);
+  assert.equal(sheet('2020-01'), null);
+});
+
+test('lỗi Apps Script: 5xx và 429 được thử lại, lần gọi sau khi hết lỗi ghi được dòng', async (t) => {
+  const { rows } = await serveEmulator(t, [{ type: 503, count: 1 }, { type: 429, count: 1 }, { type: 500, count: 1 }]);
+
+  const unavailable = await appendTaxInfoToSheet(record());
+  assert.deepEqual(unavailable, { success: false, message: 'HTTP 503: Service Unavailable', retryable: true });
+
+  const throttled = await appendTaxInfoToSheet(record());
+  assert.deepEqual(throttled, { success: false, message: 'HTTP 429: Too Many Requests', retryable: true });
+
+  const batch = await appendTaxInfoBatchToSheet([record()]);
+  assert.deepEqual(batch, { success: false, message: 'HTTP 500: Internal Server Error', retryable: true });
+  assert.equal(rows().length, 0);
+
+  const saved = await appendTaxInfoToSheet(record());
+  assert.equal(saved.success, true);
+  assert.equal(saved.action, 'inserted');
+  assert.equal(rows().length, 2);
+});
+
+test('lỗi Apps Script: 401, 403, 404 không thử lại', async (t) => {
+  await serveEmulator(t, [{ type: 401, count: 1 }, { type: 403, count: 1 }, { type: 404, count: 1 }, { type: 400, count: 1 }]);
+
+  const results = [];
+  for (let index = 0; index < 4; index++) {
+    results.push(await appendTaxInfoToSheet(record()));
+  }
+  assert.deepEqual(results, [
+    { success: false, message: 'Apps Script authorization error. Check if "Who has access" is set to "Anyone"', retryable: false },
+    { success: false, message: 'Permission denied. Check if the Google Sheet allows editing', retryable: false },
+    { success: false, message: 'Apps Script URL not found. Check GOOGLE_APPS_SCRIPT_URL', retryable: false },
+    { success: false, message: 'HTTP 400: Bad Request', retryable: false }
+  ]);
+});
+
+test('lỗi Apps Script: mất kết nối, trang HTML thay vì JSON, lỗi trong script đều được thử lại', async (t) => {
+  const { rows } = await serveEmulator(t, [{ type: 'timeout', count: 1, delayMs: 50 }, { type: 'malformed', count: 1 }, { type: 'script-error', count: 1 }]);
+
+  const dropped = await appendTaxInfoToSheet(record());
+  assert.deepEqual(dropped, { success: false, message: 'Network error. Please check your connection.', retryable: true });
+
+  const malformed = await appendTaxInfoToSheet(record());
+  assert.deepEqual(malformed, { success: false, message: 'Failed to parse response from Google Sheets', retryable: true });
+
+  const scriptError = await appendTaxInfoToSheet(record());
+  assert.deepEqual(scriptError, { success: false, message: 'Lỗi: Emulated script error', retryable: true });
+  assert.equal(rows().length, 0);
+
+  assert.equal((await appendTaxInfoToSheet(record())).success, true);
+  assert.equal(rows().length, 2);
+});
+
+test('outbox: lỗi thử lại được giữ job ở pending, job được ghi khi Apps Script hết lỗi', async (t) => {
+  const { rows } = await serveEmulator(t, [{ type: 502, count: 1 }, { type: 'timeout', count: 1, delayMs: 50 }]);
+  const outbox = await createOutbox(record());
+
+  const failed = await outbox.syncNow(record().id);
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.lastError, 'HTTP 502: Bad Gateway');
+  assert.ok(Date.parse(failed.nextAttemptAt) > Date.now());
+
+  const dropped = await outbox.syncNow(record().id);
+  assert.equal(dropped.status, 'pending');
+  assert.equal(dropped.attempts, 2);
+
+  const synced = await outbox.syncNow(record().id);
+  assert.equal(synced.status, 'synced');
+  assert.equal(synced.attempts, 3);
+  assert.equal(synced.sheetRow, 2);
+  assert.equal(rows().length, 2);
+});
+
+test('outbox: lỗi không thử lại được chuyển job sang dead ngay lần đầu', async (t) => {
+  await serveEmulator(t, [{ type: 403, count: 1 }]);
+  const outbox = await createOutbox(record());
+
+  const job = await outbox.syncNow(record().id);
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, 'Permission denied. Check if the Google Sheet allows editing');
+});
+
+test('outbox: lỗi thử lại được kéo dài đến maxAttempts thì job chuyển sang dead', async (t) => {
+  const { rows } = await serveEmulator(t, [{ type: 'malformed', count: 2 }, { type: 'script-error' }]);
+  const outbox = await createOutbox(record());
+
+  const jobs = [];
+  for (let attempt = 0; attempt < 3; attempt++) {
+    jobs.push(await outbox.syncNow(record().id));
+  }
+  assert.deepEqual(jobs.map((job) => job.status), ['pending', 'pending', 'dead']);
+
+  const job = jobs[2];
+  assert.equal(job.attempts, 3);
+  assert.equal(job.lastError, 'Lỗi: Emulated script error');
+  assert.equal(rows().length, 0);
+});
@@ -1,9 +1,11 @@
 /**
  * Script test để kiểm tra kết nối Google Sheets
  * Chạy: node test-google-sheets.js
+ * Không có URL thật? Chạy `npm run emulate-sheets` và trỏ GOOGLE_APPS_SCRIPT_URL tới emulator
  */
 
 import dotenv from 'dotenv';
+import { signPayload } from './googleSheets.js';
 dotenv.config();
 
 const GOOGLE_APPS_SCRIPT_URL = process.env.GOOGLE_APPS_SCRIPT_URL;
@@ -53,7 +55,8 @@ try {
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(testData),
+    // Signed with GOOGLE_APPS_SCRIPT_SECRET, like the server does
+    body: JSON.stringify(signPayload(testData)),
     redirect: 'follow'
   });
   
@@ -70,6 +73,9 @@ try {
         console.log('📊 Check your Google Sheet to verify');
       } else {
         console.log('\n❌ Apps Script returned error:', result.message);
+        if (result.code) {
+          console.log('💡 Tip: Check that GOOGLE_APPS_SCRIPT_SECRET matches SHARED_SECRET in Script Properties');
+        }
       }
     } catch (parseError) {
       console.log('\n⚠️ Response is not JSON:', responseText.substring(0, 200));
@@ -0,0 +1,96 @@
+/**
+ * Test Idempotency-Key middleware (idempotency.js) với memory storage
+ * Chạy: npm test
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createIdempotencyMiddleware } from './idempotency.js';
+import { createMemoryStorage } from './storage/memoryStorage.js';
+
+// Gọi middleware như Express: { next: true } nếu request được xử lý, hoặc response đã gửi.
+// handle(res) chạy thay route khi request được xử lý.
+const createCaller = (middleware) => (body, { key = 'key-1', handle } = {}) => new Promise((resolve, reject) => {
+  const headers = {};
+  const req = {
+    method: 'POST',
+    baseUrl: '',
+    path: '/api/tax-info',
+    body,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    headers,
+    setHeader: (name, value) => {
+      headers[name] = value;
+    },
+    once: () => {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      resolve({ statusCode: this.statusCode, body: data, headers });
+      return this;
+    }
+  };
+  middleware(req, res, () => {
+    if (handle) {
+      Promise.resolve(handle(res)).catch(reject);
+    } else {
+      resolve({ next: true });
+    }
+  }).catch(reject);
+});
+
+test('idempotency: secretFields không được lưu, onReplay trả lại giá trị mới', async () => {
+  const storage = createMemoryStorage();
+  let issued = 0;
+  const call = createCaller(createIdempotencyMiddleware({
+    storage,
+    secretFields: ['editToken'],
+    onReplay: async ({ body }) => ({ ...body, editToken: `token-${++issued}` })
+  }));
+
+  const first = await call({ taxCode: '0316794479' }, {
+    handle: (res) => res.json({ success: true, data: { id: 'a' }, editToken: 'token-0' })
+  });
+  assert.equal(first.body.editToken, 'token-0');
+
+  const stored = await storage.claimIdempotencyKey({ key: 'POST /api/tax-info key-1' });
+  assert.equal(stored.status, 'completed');
+  assert.equal('editToken' in stored.response.body, false);
+
+  const replayed = await call({ taxCode: '0316794479' });
+  assert.equal(replayed.headers['Idempotent-Replayed'], 'true');
+  assert.deepEqual(replayed.body, { success: true, data: { id: 'a' }, editToken: 'token-1' });
+});
+
+test('idempotency: request cùng key đến khi request đầu còn chạy lâu hơn lease thì nhận 409', async () => {
+  const storage = createMemoryStorage();
+  const call = createCaller(createIdempotencyMiddleware({ storage, leaseMs: 40 }));
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  let finish;
+  const first = call({ taxCode: '0316794479' }, {
+    handle: (res) => new Promise((resolve) => {
+      finish = () => resolve(res.json({ success: true, data: { id: 'a' } }));
+    })
+  });
+
+  // Đã qua vài lần lease - lease được gia hạn nên request sau không chạy lại
+  await wait(150);
+  const second = await call({ taxCode: '0316794479' });
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.code, 'IDEMPOTENCY_IN_PROGRESS');
+
+  finish();
+  assert.deepEqual((await first).body, { success: true, data: { id: 'a' } });
+
+  // Hết gia hạn sau khi trả lời: bản ghi đã lưu vẫn được trả lại
+  await wait(100);
+  const replayed = await call({ taxCode: '0316794479' });
+  assert.equal(replayed.headers['Idempotent-Replayed'], 'true');
+  assert.deepEqual(replayed.body, { success: true, data: { id: 'a' } });
+});
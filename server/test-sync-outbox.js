@@ -0,0 +1,42 @@
+/**
+ * Test sync outbox (syncOutbox.js) với memory storage
+ * Chạy: npm test
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createSyncOutbox } from './syncOutbox.js';
+import { createMemoryStorage } from './storage/memoryStorage.js';
+
+const CONFIG = { mode: 'background', maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1, intervalMs: 1000, batchSize: 20, batchWindowMs: 0 };
+
+const deadJob = (submissionId) => ({
+  submissionId,
+  version: 1,
+  status: 'dead',
+  attempts: 1,
+  createdAt: '2026-10-05T10:00:00.000Z',
+  updatedAt: '2026-10-05T10:00:00.000Z',
+  lastError: 'HTTP 403'
+});
+
+test('requeueFailed: kết thúc dù worker đánh dấu dead lại ngay các job vừa đưa về hàng đợi', { timeout: 5000 }, async () => {
+  const storage = createMemoryStorage();
+  const ids = Array.from({ length: 25 }, (_, index) => `submission-${index + 1}`);
+  for (const id of ids) {
+    await storage.saveSyncJob(deadJob(id));
+  }
+
+  // Lỗi không thử lại được (401/403/404): worker đưa job về dead ngay khi nó được đưa về hàng đợi
+  const saveSyncJob = storage.saveSyncJob;
+  storage.saveSyncJob = async (job) => {
+    const saved = await saveSyncJob(job);
+    return job.status === 'pending' ? saveSyncJob({ ...saved, status: 'dead' }) : saved;
+  };
+
+  const outbox = createSyncOutbox({ storage, sync: async () => ({ success: false, retryable: false }), config: CONFIG });
+  assert.equal(await outbox.requeueFailed(), ids.length);
+
+  const versions = await Promise.all(ids.map(async (id) => (await storage.getSyncJob(id)).version));
+  assert.deepEqual(versions, ids.map(() => 2));
+});
@@ -0,0 +1,80 @@
+/**
+ * Shared validation for tax info submissions.
+ * Used by both server/server.js and api/index.js so every route checks the same rules.
+ */
+
+import { validateTaxCode } from './taxCode.js';
+
+export const EMAIL_REGEX = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+export const PHONE_REGEX = /^[0-9]{10,11}$/;
+
+// Normalize phone number: remove spaces, dashes, and +84 prefix
+export const normalizePhone = (phone = '') => phone
+  .replace(/\s+/g, '') // Remove spaces
+  .replace(/-/g, '') // Remove dashes
+  .replace(/\+84/g, '0') // Replace +84 with 0
+  .replace(/^84/, '0'); // Replace 84 prefix with 0
+
+// Invoice numbers are compared trimmed and case-insensitively when looking for duplicates
+export const normalizeInvoiceNumber = (invoiceNumber = '') => String(invoiceNumber).trim().toUpperCase();
+
+const TEXT_FIELDS = ['taxCode', 'companyName', 'address', 'email', 'phone', 'invoiceNumber'];
+
+/**
+ * Validate a tax info payload.
+ * Returns { valid: true, value } with the normalized fields, or { valid: false, message }.
+ */
+export const validateTaxInfo = (taxData = {}) => {
+  // JSON bodies can carry numbers, arrays or objects - text fields must be strings
+  const invalidField = TEXT_FIELDS.find((field) => taxData[field] != null && typeof taxData[field] !== 'string');
+  if (invalidField) {
+    return { valid: false, message: `Trường ${invalidField} phải là chuỗi ký tự` };
+  }
+
+  // Validate tax code (length, check digit, branch suffix)
+  const taxCode = validateTaxCode(taxData.taxCode);
+  if (!taxCode.valid) {
+    return { valid: false, message: taxCode.message };
+  }
+
+  // Validate email (required)
+  if (!taxData.email || taxData.email.trim() === '') {
+    return { valid: false, message: 'Email là bắt buộc' };
+  }
+
+  // Validate email format
+  if (!EMAIL_REGEX.test(taxData.email)) {
+    return { valid: false, message: 'Email không hợp lệ' };
+  }
+
+  // Validate phone (required)
+  if (!taxData.phone || taxData.phone.trim() === '') {
+    return { valid: false, message: 'Số điện thoại là bắt buộc' };
+  }
+
+  // Validate phone format (10-11 digits)
+  const phone = normalizePhone(taxData.phone);
+  if (!PHONE_REGEX.test(phone)) {
+    return {
+      valid: false,
+      message: 'Số điện thoại phải có 10-11 chữ số (có thể nhập với dấu cách hoặc dấu gạch ngang)'
+    };
+  }
+
+  return {
+    valid: true,
+    value: {
+      taxCode: taxCode.taxCode,
+      companyName: taxData.companyName || '',
+      address: taxData.address || '',
+      email: taxData.email,
+      phone,
+      invoiceNumber: taxData.invoiceNumber || ''
+    }
+  };
+};
+
+// Submission ids are generated with crypto.randomUUID()
+const ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isValidSubmissionId = (id) => typeof id === 'string' && ID_REGEX.test(id);
@@ -1,9 +1,26 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useForm } from 'react-hook-form'
 import { motion } from 'framer-motion'
-import { FileText, CheckCircle, XCircle, Search } from 'lucide-react'
+import { FileText, CheckCircle, XCircle, Search, AlertTriangle } from 'lucide-react'
 import { getApiUrl } from '../utils/api'
+import { findEditTokenForTaxCode, getEditToken, getLastSubmission, rememberSubmission } from '../utils/submissions'
 import { t } from '../utils/i18n'
+import { validateTaxCode } from '../../server/taxCode.js'
+
+// validateTaxCode error codes -> translation keys
+const TAX_CODE_ERROR_LABELS = {
+  REQUIRED: 'taxCodeRequired',
+  LENGTH: 'taxCodeInvalid',
+  CHECK_DIGIT: 'taxCodeCheckDigit',
+  BRANCH: 'taxCodeBranch',
+}
+
+// crypto.randomUUID is only available in secure contexts (https / localhost)
+const createIdempotencyKey = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+)
 
 const TaxInfo = () => {
   const {
@@ -20,6 +37,10 @@ const TaxInfo = () => {
   const [isLookingUp, setIsLookingUp] = useState(false)
   const [lookupResult, setLookupResult] = useState(null)
   const [savedTaxInfo, setSavedTaxInfo] = useState(null)
+  // Set when the server reports the invoice number was already submitted (HTTP 409)
+  const [duplicateConflict, setDuplicateConflict] = useState(null)
+  // Idempotency-Key of the current form attempt - reused when the same payload is retried
+  const idempotencyRef = useRef(null)
 
   // Helper function to get bilingual label
   const getBilingualLabel = (key) => {
@@ -28,21 +49,28 @@ const TaxInfo = () => {
     return vi === en ? vi : `${vi} / ${en}`
   }
 
-  // Load saved tax info on mount
+  // Load saved tax info on mount - only this browser's own latest submission, read with its edit token
   useEffect(() => {
     const loadSaved = async () => {
+      const last = getLastSubmission()
+      if (!last) {
+        return
+      }
       try {
         const apiUrl = getApiUrl()
-        console.log('[TaxInfo] Loading saved tax info from:', `${apiUrl}/api/tax-info`)
-        const res = await fetch(`${apiUrl}/api/tax-info`)
+        console.log('[TaxInfo] Loading saved tax info from:', `${apiUrl}/api/tax-info/${last.id}`)
+        const res = await fetch(`${apiUrl}/api/tax-info/${last.id}`, {
+          headers: { 'X-Edit-Token': last.editToken },
+        })
         if (!res.ok) {
           console.log('[TaxInfo] No saved data or server not available')
           return
         }
         const data = await res.json()
-        if (data.success && data.data) {
-          setSavedTaxInfo(data.data)
-          const t = data.data
+        const latest = data.success ? data.data : null
+        if (latest) {
+          setSavedTaxInfo(latest)
+          const t = latest
           setValue('taxCode', t.taxCode || '')
           setValue('invoiceNumber', t.invoiceNumber || '')
           setValue('companyName', t.companyName || '')
@@ -58,14 +86,41 @@ const TaxInfo = () => {
     loadSaved()
   }, [setValue])
 
-  const handleLookup = async (taxCode) => {
-    if (!taxCode || !/^[0-9]{10,13}$/.test(taxCode)) {
+  // Prefill email / phone from the customer's previous submission (best effort).
+  // Only when this browser submitted for the tax code before - the server checks that edit token
+  const prefillContact = async (taxCode) => {
+    const editToken = findEditTokenForTaxCode(taxCode)
+    if (!editToken) {
+      return
+    }
+    try {
+      const res = await fetch(`${getApiUrl()}/api/contacts/${taxCode}`, {
+        headers: { 'X-Edit-Token': editToken },
+      })
+      if (!res.ok) {
+        return
+      }
+      const data = await res.json()
+      if (data.success && data.data) {
+        console.log(`[Frontend] Prefilling contact from ${data.data.source}`)
+        if (data.data.email) setValue('email', data.data.email)
+        if (data.data.phone) setValue('phone', data.data.phone)
+      }
+    } catch (err) {
+      console.error('[Frontend] Contact prefill error:', err)
+    }
+  }
+
+  const handleLookup = async (value) => {
+    const validation = validateTaxCode(value)
+    if (!validation.valid) {
       setLookupResult({
         success: false,
-        message: getBilingualLabel('lookupInvalid'),
+        message: getBilingualLabel(TAX_CODE_ERROR_LABELS[validation.code]),
       })
       return
     }
+    const { taxCode } = validation
     try {
       setIsLookingUp(true)
       setLookupResult(null)
@@ -98,10 +153,19 @@ const TaxInfo = () => {
         console.log('[Frontend] Lookup response:', data)
         
         if (data.success && data.data) {
-          setLookupResult({ success: true, message: getBilingualLabel('lookupSuccess') })
+          setLookupResult({
+            success: true,
+            message: getBilingualLabel('lookupSuccess'),
+            source: {
+              label: data.sourceLabel || data.source,
+              isMock: Boolean(data.isMock),
+              fetchedAt: data.fetchedAt,
+            },
+          })
           const info = data.data
           if (info.companyName) setValue('companyName', info.companyName)
           if (info.address) setValue('address', info.address)
+          prefillContact(taxCode)
           if (info.companyNameEn) {
             // Optionally set English name if needed
             console.log('Company English name:', info.companyNameEn)
@@ -141,10 +205,13 @@ const TaxInfo = () => {
     }
   }
 
-  const onSubmit = async (formData) => {
+  // Save the form as a new submission, or update an existing one when updateId is given.
+  // allowDuplicate confirms that a repeated invoice number is really a different bill.
+  const saveTaxInfo = async (formData, { allowDuplicate = false, updateId = null } = {}) => {
     setIsSubmitting(true)
     setSubmitError('')
     setSubmitSuccess(false)
+    setDuplicateConflict(null)
     try {
       // Normalize phone number: remove spaces, dashes, and +84 prefix
       let normalizedPhone = formData.phone || ''
@@ -154,21 +221,36 @@ const TaxInfo = () => {
       normalizedPhone = normalizedPhone.replace(/^84/, '0') // Replace 84 prefix with 0
       
       const apiUrl = getApiUrl()
-      const requestUrl = `${apiUrl}/api/tax-info`
+      const requestUrl = updateId ? `${apiUrl}/api/tax-info/${updateId}` : `${apiUrl}/api/tax-info`
       console.log('[TaxInfo] Submitting to:', requestUrl)
       
+      // Retrying the same payload (e.g. after a timeout) reuses the Idempotency-Key,
+      // so the server replays its first response instead of saving the form twice
+      const headers = { 'Content-Type': 'application/json' }
+      if (updateId) {
+        // Only submissions made in this browser can be corrected - the server checks their edit token
+        headers['X-Edit-Token'] = getEditToken(updateId) || ''
+      } else {
+        const payloadSignature = JSON.stringify({ ...formData, phone: normalizedPhone, allowDuplicate })
+        if (idempotencyRef.current?.payloadSignature !== payloadSignature) {
+          idempotencyRef.current = { payloadSignature, key: createIdempotencyKey() }
+        }
+        headers['Idempotency-Key'] = idempotencyRef.current.key
+      }
+      
       // Create AbortController for timeout
       const controller = new AbortController()
       const timeoutId = setTimeout(() => controller.abort(), 30000) // 30 second timeout
       
       try {
         const res = await fetch(requestUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          method: updateId ? 'PUT' : 'POST',
+          headers,
           body: JSON.stringify({
             ...formData,
             phone: normalizedPhone, // Use normalized phone
-            createdAt: new Date().toISOString(),
+            ...(updateId ? {} : { createdAt: new Date().toISOString() }),
+            allowDuplicate,
             updatedAt: new Date().toISOString(),
           }),
           signal: controller.signal
@@ -176,6 +258,16 @@ const TaxInfo = () => {
         
         clearTimeout(timeoutId)
         
+        // Same invoice number already saved - let the user decide what to do
+        if (res.status === 409) {
+          const conflictData = await res.json()
+          if (conflictData.code === 'DUPLICATE_INVOICE') {
+            console.log('[TaxInfo] Duplicate invoice detected:', conflictData.conflict)
+            setDuplicateConflict({ ...conflictData.conflict, formData, updateId })
+            return
+          }
+        }
+        
         // Check if response is ok
         if (!res.ok) {
           let errorMessage = `${getBilingualLabel('error')} HTTP ${res.status}: ${res.statusText}`
@@ -202,15 +294,19 @@ const TaxInfo = () => {
         if (data.googleSheetsSync) {
           if (data.googleSheetsSync.success) {
             console.log('[TaxInfo] ✅ Google Sheets sync successful')
+          } else if (data.googleSheetsSync.status === 'pending') {
+            console.log('[TaxInfo] Google Sheets sync queued:', data.googleSheetsSync.message)
           } else {
             console.warn('[TaxInfo] ⚠️ Google Sheets sync failed:', data.googleSheetsSync.message)
             // Log warning but don't show error to user - data is still saved
-            // The backend will retry automatically, and user can check logs if needed
+            // The backend outbox retries automatically, and failed syncs can be replayed by ops
           }
         }
         
         setSubmitSuccess(true)
         setSavedTaxInfo(data.data)
+        rememberSubmission(data.data, data.editToken)
+        idempotencyRef.current = null
         
         // Reset form để tiếp tục nhập thông tin mới
         reset({
@@ -254,6 +350,8 @@ const TaxInfo = () => {
     }
   }
 
+  const onSubmit = (formData) => saveTaxInfo(formData)
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-amber-50 to-yellow-50 py-8 px-4">
       <div className="max-w-3xl mx-auto">
@@ -296,6 +394,49 @@ const TaxInfo = () => {
           </div>
         )}
 
+        {/* Duplicate invoice */}
+        {duplicateConflict && (
+          <div className="mb-4 bg-amber-50 border border-amber-300 rounded-xl p-4 flex items-start gap-3">
+            <AlertTriangle className="text-amber-600 flex-shrink-0" size={22} />
+            <div className="flex-1">
+              <p className="font-semibold text-amber-800">{getBilingualLabel('duplicateInvoiceTitle')}</p>
+              <p className="text-sm text-amber-700">
+                {getBilingualLabel(duplicateConflict.taxCodeMatches ? 'duplicateInvoiceSameTaxCode' : 'duplicateInvoiceOtherTaxCode')}
+              </p>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {/* Rows found only in the Google Sheet have no id, and only submissions made in
+                    this browser have an edit token - the others cannot be updated from here.
+                    A correction that hit the conflict keeps updating its own submission */}
+                {!duplicateConflict.updateId && duplicateConflict.taxCodeMatches && duplicateConflict.existing?.id && getEditToken(duplicateConflict.existing.id) && (
+                  <button
+                    type="button"
+                    disabled={isSubmitting}
+                    onClick={() => saveTaxInfo(duplicateConflict.formData, { updateId: duplicateConflict.existing.id })}
+                    className="px-4 py-2 rounded-lg bg-amber-500 text-white text-sm font-medium hover:bg-amber-600 disabled:opacity-50"
+                  >
+                    {getBilingualLabel('duplicateUpdateExisting')}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  disabled={isSubmitting}
+                  onClick={() => saveTaxInfo(duplicateConflict.formData, { allowDuplicate: true, updateId: duplicateConflict.updateId })}
+                  className="px-4 py-2 rounded-lg border border-amber-500 text-amber-700 text-sm font-medium hover:bg-amber-100 disabled:opacity-50"
+                >
+                  {getBilingualLabel('duplicateDifferentBill')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDuplicateConflict(null)}
+                  className="px-4 py-2 rounded-lg text-neutral-600 text-sm hover:bg-neutral-100"
+                >
+                  {getBilingualLabel('cancel')}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Saved info */}
         {savedTaxInfo && (
           <div className="mb-6 bg-white rounded-xl shadow-sm border border-amber-100 p-4 text-sm">
@@ -346,9 +487,9 @@ const TaxInfo = () => {
                   type="text"
                   {...register('taxCode', {
                     required: getBilingualLabel('taxCodeRequired'),
-                    pattern: {
-                      value: /^[0-9]{10,13}$/,
-                      message: getBilingualLabel('taxCodeInvalid'),
+                    validate: (value) => {
+                      const validation = validateTaxCode(value)
+                      return validation.valid || getBilingualLabel(TAX_CODE_ERROR_LABELS[validation.code])
                     },
                   })}
                   className="flex-1 px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent text-sm"
@@ -384,6 +525,18 @@ const TaxInfo = () => {
                   {lookupResult.message}
                 </p>
               )}
+              {lookupResult?.source?.label && (
+                <span
+                  className={`mt-1 inline-block rounded px-2 py-0.5 text-[11px] ${
+                    lookupResult.source.isMock ? 'bg-amber-100 text-amber-800' : 'bg-neutral-100 text-neutral-600'
+                  }`}
+                  title={lookupResult.source.fetchedAt
+                    ? `${getBilingualLabel('lookupFetchedAt')}: ${new Date(lookupResult.source.fetchedAt).toLocaleString('vi-VN')}`
+                    : undefined}
+                >
+                  {getBilingualLabel('lookupSource')}: {lookupResult.source.label}
+                </span>
+              )}
             </div>
 
             {/* Invoice number */}
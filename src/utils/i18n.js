@@ -41,7 +41,9 @@ const translations = {
     
     // Validation messages
     taxCodeRequired: 'Vui lòng nhập mã số thuế',
-    taxCodeInvalid: 'Mã số thuế phải có 10-13 chữ số',
+    taxCodeInvalid: 'Mã số thuế phải có 10 chữ số, hoặc 13 chữ số nếu là chi nhánh (0316794479-001)',
+    taxCodeCheckDigit: 'Mã số thuế không đúng chữ số kiểm tra (chữ số thứ 10), vui lòng kiểm tra lại',
+    taxCodeBranch: 'Mã chi nhánh (3 số sau dấu -) phải từ 001 đến 999',
     invoiceNumberRequired: 'Vui lòng nhập số hóa đơn',
     emailRequired: 'Vui lòng nhập email',
     emailInvalid: 'Email không hợp lệ',
@@ -51,16 +53,25 @@ const translations = {
     // Lookup messages
     lookupSuccess: 'Đã tìm thấy thông tin công ty',
     lookupFailed: 'Không tìm thấy thông tin công ty từ các nguồn tra cứu',
-    lookupInvalid: 'Mã số thuế không hợp lệ. Vui lòng nhập 10-13 chữ số.',
     lookupError: 'Không thể tra cứu thông tin. Vui lòng thử lại.',
     lookupNetworkError: 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối mạng hoặc đảm bảo server đang chạy.',
     lookupTimeout: 'Yêu cầu tra cứu quá thời gian. Vui lòng thử lại.',
+    lookupSource: 'Nguồn',
+    lookupFetchedAt: 'Tra cứu lúc',
     
     // Submit messages
     submitNetworkError: 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối mạng và thử lại.',
     submitTimeout: 'Yêu cầu quá thời gian. Vui lòng kiểm tra kết nối mạng và thử lại.',
     submitError: 'Có lỗi xảy ra khi lưu thông tin',
     
+    // Duplicate invoice
+    duplicateInvoiceTitle: 'Số hóa đơn đã được lưu trước đó',
+    duplicateInvoiceSameTaxCode: 'Hóa đơn này đã được lưu với cùng mã số thuế. Bạn muốn cập nhật thông tin cũ hay đây là một hóa đơn khác?',
+    duplicateInvoiceOtherTaxCode: 'Hóa đơn này đã được lưu với một mã số thuế khác. Vui lòng kiểm tra lại số hóa đơn.',
+    duplicateUpdateExisting: 'Cập nhật thông tin cũ',
+    duplicateDifferentBill: 'Đây là hóa đơn khác',
+    cancel: 'Hủy',
+    
     // Language
     language: 'Ngôn ngữ',
     vietnamese: 'Tiếng Việt',
@@ -107,7 +118,9 @@ const translations = {
     
     // Validation messages
     taxCodeRequired: 'Please enter tax code',
-    taxCodeInvalid: 'Tax code must have 10-13 digits',
+    taxCodeInvalid: 'Tax code must have 10 digits, or 13 digits for a branch (0316794479-001)',
+    taxCodeCheckDigit: 'Tax code check digit (10th digit) does not match, please check it again',
+    taxCodeBranch: 'Branch suffix (3 digits after the -) must be between 001 and 999',
     invoiceNumberRequired: 'Please enter invoice number',
     emailRequired: 'Please enter email',
     emailInvalid: 'Invalid email',
@@ -117,16 +130,25 @@ const translations = {
     // Lookup messages
     lookupSuccess: 'Company information found',
     lookupFailed: 'Company information not found from available sources',
-    lookupInvalid: 'Invalid tax code. Please enter 10-13 digits.',
     lookupError: 'Unable to lookup information. Please try again.',
     lookupNetworkError: 'Cannot connect to server. Please check your network connection or ensure the server is running.',
     lookupTimeout: 'Lookup request timed out. Please try again.',
+    lookupSource: 'Source',
+    lookupFetchedAt: 'Looked up at',
     
     // Submit messages
     submitNetworkError: 'Cannot connect to server. Please check your network connection and try again.',
     submitTimeout: 'Request timed out. Please check your network connection and try again.',
     submitError: 'An error occurred while saving information',
     
+    // Duplicate invoice
+    duplicateInvoiceTitle: 'Invoice number already submitted',
+    duplicateInvoiceSameTaxCode: 'This invoice was already saved with the same tax code. Update the existing information, or is this a different bill?',
+    duplicateInvoiceOtherTaxCode: 'This invoice was already saved with a different tax code. Please check the invoice number.',
+    duplicateUpdateExisting: 'Update existing',
+    duplicateDifferentBill: 'This is a different bill',
+    cancel: 'Cancel',
+    
     // Language
     language: 'Language',
     vietnamese: 'Tiếng Việt',
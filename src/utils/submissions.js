@@ -0,0 +1,49 @@
+// Submissions made in this browser, with their edit tokens (see server/editToken.js).
+// The server returns a submission's token only once, and it is needed to correct that submission later.
+const STORAGE_KEY = 'taxInfo.submissions';
+const MAX_SUBMISSIONS = 20;
+
+// Newest first: [{ id, taxCode, editToken, savedAt }]
+const readSubmissions = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeSubmissions = (submissions) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(submissions.slice(0, MAX_SUBMISSIONS)));
+  } catch (error) {
+    // Private mode or full storage - the submission is saved, it just cannot be corrected from here
+    console.error('[Submissions] Failed to remember edit token:', error);
+  }
+};
+
+// Remember a saved submission. Without editToken the one already stored for this id is kept
+export const rememberSubmission = (submission, editToken) => {
+  if (!submission?.id) {
+    return;
+  }
+  const submissions = readSubmissions();
+  const token = editToken || submissions.find((entry) => entry.id === submission.id)?.editToken;
+  if (!token) {
+    return;
+  }
+  writeSubmissions([
+    { id: submission.id, taxCode: submission.taxCode || '', editToken: token, savedAt: new Date().toISOString() },
+    ...submissions.filter((entry) => entry.id !== submission.id)
+  ]);
+};
+
+export const getEditToken = (id) => readSubmissions().find((entry) => entry.id === id)?.editToken || null;
+
+// The latest submission made in this browser, used to show and prefill the last saved info
+export const getLastSubmission = () => readSubmissions()[0] || null;
+
+// Edit token of this browser's latest submission for a tax code - proves the contact is ours to prefill
+export const findEditTokenForTaxCode = (taxCode) => (
+  readSubmissions().find((entry) => entry.taxCode === taxCode)?.editToken || null
+);